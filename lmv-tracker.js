@@ -16,7 +16,7 @@
  * - Dynamic content support (SPAs, AJAX-loaded content)
  * - Error handling and fallbacks
  * - Development debugging tools
- * - IP-based user matching
+ * - User identification with SHA-256 hashed email and phone
  * 
  * UTM PARAMETERS TRACKED:
  * - utm_source: Identifies the source of traffic
@@ -26,7 +26,14 @@
  * - utm_content: Identifies specific content variations
  * - fbclid: Facebook click identifier
  * - gclid: Google Ads click identifier
+ * - gbraid / wbraid: Google Ads click identifiers for iOS app and web-to-app campaigns
+ * - dclid: Google Display & Video 360 / Campaign Manager click identifier
+ * - msclkid: Microsoft Advertising click identifier
+ * - ttclid: TikTok click identifier
+ * - li_fat_id: LinkedIn click identifier
+ * - twclid: X (Twitter) click identifier
  * - fbp: Facebook browser ID from Meta Pixel
+ * - fbc: Facebook click ID cookie (_fbc), built as fb.1.<timestamp>.<fbclid> when fbclid is present
  * 
  * ADDITIONAL PARAMETERS:
  * - ref: Referrer parameter (automatically converted to 'referrer' for consistency)
@@ -35,33 +42,303 @@
  * SESSION MANAGEMENT:
  * - Creates unique session UUIDs for each user session
  * - Sessions expire after 30 minutes of inactivity
+ * - Sessions also end at midnight in sessionTimezone (splitSessionsAtMidnight) and when the visitor
+ *   lands with a different campaign (splitSessionsOnCampaignChange)
  * - Preserves UTM data across page views within the same session
  * - Tracks page views per session
  * - Automatic session creation/update via API
  * - Page view event logging with UTM data
  * 
+ * VISITOR IDENTITY:
+ * - visitor_id is a long-lived UUID kept across sessions (until consent is revoked), with
+ *   session_count and first_seen (timestamp of the first page view)
+ * - Sent with session requests (visitor_id, session_count, first_seen) and events (visitor_id)
+ * - Data stored by older versions gets a visitor_id on the next page view, first_seen falls back
+ *   to the stored session start and sessions are counted from there
+ * - window.lmvTracker.getVisitorId() and getVisitorData() return them
+ * 
+ * CROSS-DOMAIN SESSION STITCHING:
+ * - A valid ?uuid= on the landing URL (added by decorateLinks on another domain) is adopted as
+ *   the session UUID, merged with the UTMs and touches stored on this domain
+ * - Decorated links carry lmv_ts (decoration timestamp); links older than stitchMaxAge minutes
+ *   are ignored so old or shared links can't take over a session. The token is renewed every
+ *   quarter of stitchMaxAge and when a link is clicked, a form submitted or window.open() called,
+ *   so links on a page left open stay valid
+ * - With stitchSigningKey, links also carry lmv_sig (HMAC-SHA256 of uuid and timestamp) and only
+ *   signed links are adopted. The key is visible in the page source: it stops tampering with old
+ *   links (e.g. refreshing lmv_ts), it is not a secret
+ * - stitchRequireToken rejects links without lmv_ts (links decorated by older tracker versions)
+ * - uuid, lmv_ts and lmv_sig are then removed from the address bar with history.replaceState
+ *   (cleanTrackingParams also removes UTMs and click IDs)
+ * 
  * LINK DECORATION:
  * - Automatically appends session UUID and UTM parameters to all links
- * - Only decorates links pointing to core.lamainverte.ca
- * - Prevents duplicate decoration of already decorated links
- * - Works with dynamically loaded content via MutationObserver
+ * - By default decorates links to targetDomain (uuid + UTMs) and paymentDomain (client_reference_id)
+ * - Hostnames are matched exactly (or by wildcard), never by substring
+ * - Never overwrites a parameter the page put on the link. Parameters the tracker added are kept
+ *   up to date: a new session or campaign updates (or removes) them on the next decoration
+ * - Works with dynamically loaded content via MutationObserver, and links are re-checked on click
+ * - Also decorates <form action> targets (GET forms get hidden inputs) and window.open() calls
+ * - window.lmvTracker.decorateUrl(url) decorates URLs used in programmatic navigations
+ * 
+ * DECORATION RULES:
+ * decorationRules replaces the targetDomain/paymentDomain defaults with a list of rules. Each rule
+ * has hostname patterns ('*.example.com' matches any subdomain) and a map of tracked values to
+ * parameter names (true keeps the default name):
+ * - uuid: session UUID
+ * - stitchToken: lmv_ts/lmv_sig, on links carrying the session uuid (see CROSS-DOMAIN SESSION STITCHING)
+ * - attribution: all UTMs and click IDs for linkAttribution, with their own names (referrer as ref)
+ * - any single tracked field (utm_source, gclid, fbp, fbc, referrer, ...)
+ * 
+ * window.lmvTrackerConfig = {
+ *   decorationRules: [
+ *     { hosts: ['app.lamainverte.ca', '*.lamainverte.org'], params: { uuid: true, stitchToken: true, attribution: true } },
+ *     { hosts: ['paiement.lamainverte.ca'], params: { uuid: 'client_reference_id' } },
+ *     { hosts: ['share.hsforms.com'], params: { uuid: 'lmv_session', utm_source: 'source' } }
+ *   ]
+ * };
  * 
  * FORM FIELD POPULATION:
  * - Automatically populates UTM parameters into form fields with matching IDs
- * - Supports input, textarea, and select elements
+ * - Also matches fields by name attribute (matchFieldsByName) and data-lmv-field attribute
+ * - fieldMapping maps tracked values to extra CSS selectors (HubSpot, Webflow, Typeform field names)
+ * - Tracked values: uuid, UTMs and click IDs (per formAttribution), fbp, fbc, referrer, and
+ *   first_<field> / last_<field> first-touch and last-touch values (e.g. first_utm_source)
+ * - Supports input (text-like types, matching radio/checkbox), textarea, and select elements
  * - Handles multiple elements with the same ID on the same page
+ * - Visible fields are never overwritten once they hold a value the tracker didn't set (typed by
+ *   the user or set by the page), neither are hidden fields matched only by name (e.g. a page's own
+ *   <input type="hidden" name="uuid">). Hidden fields matched by id, data-lmv-field or fieldMapping
+ *   are always updated unless preserveFieldValues is set
+ * - Fires input/change events so framework-managed forms keep the values
  * - Works with dynamically loaded content via MutationObserver
  * - Ensures UTM data is sent to backend on form submission
  * 
+ * window.lmvTrackerConfig = {
+ *   fieldMapping: {
+ *     uuid: '[name="lmv_session_id"]',
+ *     utm_source: ['[name="source"]', '#hs_utm_source'],
+ *     first_utm_campaign: '[name="original_campaign"]'
+ *   }
+ * };
+ * 
+ * <input type="hidden" data-lmv-field="last_utm_medium">
+ * 
+ * FORM SUBMISSION TRACKING:
+ * - Optional (enableFormTracking) 'form'/'submit' events for every form submission, including
+ *   forms added after load and forms submitted with form.submit()
+ * - Event data: form_id, form_name, form_action, form_method and field_names (names only, no values)
+ * - Values are only captured for field names listed in formCaptureFields (never for passwords)
+ * - Form fields are populated again right before submission so late attribution data isn't missed
+ * - Forms with a data-lmv-ignore attribute are not tracked
+ * 
+ * CLICK TRACKING:
+ * - Optional (enableClickTracking) 'click' events, sent right away so they survive the navigation
+ * - event_name is 'payment' (paymentDomain links), 'decorated' (links matching a decoration rule),
+ *   'outbound' (other sites) or 'element' (any element with data-lmv-track)
+ * - Event data: text, destination (without query string), element_id, container_id (closest
+ *   ancestor with an id), position (1-based index among the page's links) and label
+ *   (the data-lmv-track value)
+ * - Links to the current site are only tracked when marked with data-lmv-track
+ * 
+ * <a href="https://paiement.lamainverte.ca/b/abc" data-lmv-track="pricing-pro">Acheter</a>
+ * 
+ * ENGAGEMENT TRACKING:
+ * - Optional (enableEngagementTracking) 'engagement' events:
+ *   - 'scroll' when a scroll depth milestone is first reached (scrollMilestones, default 25/50/75/100%)
+ *   - 'summary' when the page is hidden or left, and before SPA route changes, with active_time
+ *     (seconds in the foreground and not idle), max_scroll_depth and page_duration. It can be sent
+ *     several times per page view; values are cumulative, keep the latest
+ *   - 'heartbeat' every heartbeatInterval seconds while the visitor is active, which also keeps
+ *     last_updated fresh so long reads don't hit the session timeout
+ * - The visitor counts as idle after idleTimeout seconds without input
+ * 
+ * PERFORMANCE TRACKING:
+ * - Optional (enablePerformanceTracking) 'performance' events from PerformanceObserver:
+ *   - 'fcp' and 'ttfb' as soon as they are known
+ *   - 'lcp', 'cls' and 'inp' when the page is hidden or left (cls and inp again if they grow
+ *     after the visitor comes back, keep the latest)
+ *   - 'navigation' after load with navigation timing in ms: dns, connect, tls, ttfb, response,
+ *     dom_interactive, dom_content_loaded, load, plus transfer_size and protocol
+ * - Metric events carry value (ms, unitless for cls), rating ('good', 'needs-improvement' or
+ *   'poor', using the Core Web Vitals thresholds), path and navigation_type
+ * - Metrics describe the document load, so they keep the landing path after SPA route changes
+ * - performanceSampleRate samples by session: a sampled session reports every page
+ * - Browsers without PerformanceObserver (or without a metric, e.g. Safari and INP) report less
+ * 
+ * ERROR TRACKING:
+ * - Optional (enableErrorTracking) 'error' events for uncaught errors ('javascript') and
+ *   unhandled promise rejections ('unhandled_rejection'), including errors thrown before
+ *   the tracker is initialized
+ * - Optional (reportTrackerErrors) 'error'/'tracker' events for the tracker's own failures,
+ *   which are otherwise only logged in debug mode. Expected fallbacks (storage blocked in
+ *   private browsing, feature detection, invalid link URLs) are not reported
+ * - Event data: message, stack (first 10 frames), source, line, column and path; URLs in them
+ *   are scrubbed like page URLs (see PII SCRUBBING) and text is redacted for emails, phones and tokens
+ * - The same error (kind, message, source and line) is sent once per session, and at most
+ *   maxErrorsPerSession distinct errors are sent per session
+ * - Errors whose message matches ignoreErrors are dropped (e.g. 'ResizeObserver loop')
+ * - Cross-origin scripts without the crossorigin attribute only report 'Script error.'
+ * 
  * PAGE VIEW TRACKING:
  * - Logs page views as events with event_type 'view' and event_name 'page'
  * - Includes path, title, referrer, and UTM parameters in event data
  * - Automatic API integration with session backend
  * 
+ * ATTRIBUTION:
+ * - Keeps first-touch (first_touch) and last-touch (last_touch) campaign parameters separately
+ * - Keeps a timestamped touchpoints list of every campaign touch (capped at maxTouchpoints)
+ * - The first touch is replaced once it is older than attributionWindow days
+ * - sessionAttribution, linkAttribution and formAttribution choose 'first', 'last' or 'both'
+ *   ('both' sends last-touch values as usual plus first-touch values prefixed with 'first_',
+ *   e.g. first_utm_source, also used as form field IDs)
+ * 
+ * TRAFFIC SOURCE CLASSIFICATION:
+ * - Landings without utm_source, utm_medium or utm_campaign get them from the click ID or the
+ *   referrer (the ref parameter first, then document.referrer), then count as a campaign touch:
+ *   - gclid / gbraid / wbraid: google / cpc, msclkid: bing / cpc (also without marketing
+ *     consent: the click ID itself is then not stored, only the source and medium)
+ *   - search engines: <engine> / organic (google, bing, yahoo, duckduckgo, ecosia, qwant, ...)
+ *   - social networks: <network> / social (facebook, instagram, linkedin, twitter, youtube, ...)
+ *   - webmail: <provider> / email (gmail, outlook, yahoo, ...)
+ *   - other sites: <hostname> / referral
+ *   - no referrer: (direct) / (none)
+ * - Referrers from our own domains (the current site, targetDomain, paymentDomain and their
+ *   subdomains) and referralExclusions (payment pages) are self-referrals, treated as direct
+ * - Direct visits and self-referrals never replace an earlier source
+ * - Disable with enableTrafficClassification: false
+ * 
+ * SPA ROUTE TRACKING:
+ * - Optional (enableHistoryTracking) page views for client-side route changes
+ * - Wraps history.pushState/replaceState and listens to popstate/hashchange
+ * - Each real route change bumps page_views, updates current_path/current_title,
+ *   picks up new UTMs from the URL and logs a page view with the previous page as referrer
+ * - Hash changes only count as route changes when trackHashRoutes is true
+ * 
+ * OFFLINE QUEUE:
+ * - Failed session and event requests (network errors, 408/429/5xx) are stored in localStorage
+ *   under 'lmv_tracker_queue' and retried in order with exponential backoff
+ * - The queue survives reloads and is retried on the next page load and when the browser comes back online
+ * - Requests are sent with fetch keepalive so they survive fast navigations (bodies up to 60KB,
+ *   browsers reject larger keepalive requests; batches are split to stay under it)
+ * - On pagehide/visibilitychange the queue is flushed with fetch keepalive or navigator.sendBeacon.
+ *   Keepalive requests stay queued, in order and with their attempt count, until they are
+ *   answered; after an unload they are sent again on the next page load (at least once delivery,
+ *   events carry event_id for deduplication)
+ * - A page view is still queued when the session request fails, and is sent after it
+ * 
+ * BATCHED DELIVERY:
+ * - Optional (enableBatching) buffering of events for batchInterval ms or batchMaxSize events
+ * - Buffered events are POSTed as one JSON array to apiBaseUrl + batchPath
+ * - Falls back to one request per event when the batch endpoint answers 404/405/501
+ * - Page views flush the buffer right away, and the buffer is flushed when the page is hidden
+ * - Optional (combineSessionRequests) session upsert with the first page view in one POST /sessions
+ *   request carrying an events array. The page view only counts as delivered when the response
+ *   acknowledges it ({ "events_accepted": true } or a count); a 2xx without it (a backend that
+ *   ignores events) or a 400/422 falls back to separate requests. Failed combined requests are
+ *   queued as two separate requests
+ * 
+ * CUSTOM EVENTS:
+ * - window.lmvTracker.track(eventType, eventName, data) sends any event to the same endpoint
+ * - Events are enriched with the session UUID, stored UTMs, fbp and referrer
+ * - Event type and name must be 1-64 characters (letters, digits, _ . : -), starting with a letter
+ * - The serialized data object is limited to maxEventDataSize bytes
+ * - Calls made before initialization or consent are queued and sent once the tracker is ready
+ * 
+ * // Track a custom event (resolves to true when delivered, false when rejected or queued for retry)
+ * window.lmvTracker.track('click', 'cta', { label: 'Essai gratuit' });
+ * 
+ * CONVERSION DEDUPLICATION:
+ * - Every event gets a unique event_id (kept when the request is retried) for the Conversions API
+ *   to deduplicate browser and server events. With marketing consent, events also carry
+ *   external_id (the visitor_id) next to fbp and fbc
+ * - window.lmvTracker.trackConversion(name, data, options) sends a 'conversion' event and, with
+ *   marketing consent, the matching fbq('track', ..., { eventID }) and gtag('event', ..., { event_id })
+ *   calls with the same id. Known names (lead, purchase, sign_up, start_trial, begin_checkout,
+ *   add_to_cart, add_payment_info, contact, subscribe, schedule) map to the standard Meta and Google
+ *   events; options.meta / options.google override the names (false skips that call) and
+ *   options.eventId reuses an existing id
+ * - firePixelPageView fires fbq('track', 'PageView', {}, { eventID }) with the page view's event_id
+ *   (remove the PageView from the Pixel snippet then)
+ * - The dataLayer pushes (see GOOGLE TAG MANAGER) carry event_id for tags configured in GTM
+ * - The Pixel reads the _fbc cookie the tracker sets from fbclid. Give it the same external_id:
+ *   fbq('init', PIXEL_ID, { external_id: window.lmvTracker.getVisitorId() })
+ * 
+ * window.lmvTracker.trackConversion('lead', { form: 'demo' });
+ * window.lmvTracker.trackConversion('purchase', { value: 49, currency: 'CAD', transaction_id: 'inv_123' });
+ * 
+ * PII SCRUBBING:
+ * - Enabled by default (enableScrubbing). Applies to page paths, referrers (including the one
+ *   stored from ?ref=), campaign values (utm_*), session and event payloads, dataLayer pushes,
+ *   and the referrer and campaign values added to decorated links and form fields
+ * - Query (and hash) parameters listed in scrubQueryParams are replaced with REDACTED. With
+ *   allowedQueryParams, every parameter outside the list is redacted too (tracked parameters
+ *   like utm_* and click IDs are always kept)
+ * - Emails, phone numbers (+ followed by 10-15 digits, or formatted North American numbers) and
+ *   tokens (JWTs, 32+ character strings mixing letters and digits) in URLs become REDACTED_EMAIL,
+ *   REDACTED_PHONE and REDACTED_TOKEN. Other text in event data and utm_* values are checked for
+ *   emails and phones. Click IDs are opaque and kept as they are
+ * - redactPatterns adds regular expressions, their matches become REDACTED
+ * 
+ * window.lmvTrackerConfig = { allowedQueryParams: ['plan', 'lang'], redactPatterns: [/\/invoices\/\w+/] };
+ * 
+ * USER IDENTIFICATION:
+ * - window.lmvTracker.identify({ email, phone, userId }) links the visitor to a known customer, e.g.
+ *   after login or signup. Resolves to true once the identity is stored
+ * - Email (trimmed, lowercased) and phone (digits only with country code; defaultPhoneCountryCode
+ *   is added to 10-digit numbers) are SHA-256 hashed with SubtleCrypto, raw values never leave
+ *   the browser. Without SubtleCrypto (pages not served over HTTPS) they are dropped
+ * - The identity is stored with the session data and sent as email_sha256, phone_sha256 and
+ *   user_id with session requests (one is sent right away) and every event
+ * - Calls made before initialization or consent are applied once the tracker starts
+ * - revokeConsent() clears it. window.lmvTracker.reset() clears it too and starts over as a new
+ *   visitor and session (call it on logout)
+ * 
+ * window.lmvTracker.identify({ email: 'Marie@Example.com', phone: '514 555-0123', userId: 'cus_42' });
+ * 
+ * PLUGINS AND HOOKS:
+ * - window.lmvTracker.use(plugin) registers an object whose hook methods are called by the tracker,
+ *   config.plugins registers plugins before the script loads. plugin.setup(lmvTracker) runs once
+ * - window.lmvTracker.on(hook, handler) / off(hook, handler) subscribe single handlers
+ * - Hooks:
+ *   - onSessionStart(sessionData, { adopted }) when a session starts (page load or route change)
+ *   - onSessionContinue(sessionData) on every other page view of a session
+ *   - beforeSend(payload, { type, label }) before a session ('session') or event ('event') request:
+ *     return a new payload to replace it, false to cancel it, or nothing to keep it (changes made
+ *     to the payload are kept). Requests retried from the queue don't go through it again
+ *   - afterSend(payload, { type, label, success }) once the request is done
+ *   - onLinkDecorated({ element, original, decorated }) for links, forms (action URLs) and
+ *     window.open() (element is null)
+ *   - onConsentChange(consent, previousConsent) when a consent category changes
+ * - Errors thrown by hooks are logged and ignored; session data passed to hooks is a copy
+ * 
+ * window.lmvTracker.use({
+ *   name: 'experiments',
+ *   beforeSend(payload, { type }) {
+ *     if (type === 'event') payload.experiment = window.currentExperiment;
+ *   }
+ * });
+ * 
  * STORAGE:
- * - Uses localStorage with key 'lmv_tracker'
- * - Stores session data, UTM parameters, and page view count
- * - Handles storage errors gracefully
+ * - Session data, UTM parameters and page view count are stored under storageKey ('lmv_tracker'),
+ *   consent under consentStorageKey
+ * - storage is a fallback chain of adapters: 'localStorage', 'sessionStorage', 'cookie' (first-party
+ *   cookie, shared with subdomains when cookieDomain is set) and 'memory' (current page only).
+ *   Custom adapters are objects with getItem, setItem and removeItem
+ * - Reads return the first adapter holding a value. Writes go to the first adapter that accepts
+ *   them (unavailable storage, full quota, cookie over cookieMaxSize) and clear the other copies
+ * - With 'cookie' in the chain, session data is split: the cookie keeps a compact shared copy
+ *   (session, visitor, identity and attribution, no touchpoints or current page) and the next
+ *   adapter that accepts it keeps the full record. When campaign values make the compact copy too
+ *   large, the cookie keeps only the session, visitor, utm_source and utm_medium rather than
+ *   being dropped
+ * - cookieDomain: 'auto' picks the broadest domain accepting cookies (e.g. lamainverte.ca from
+ *   www.lamainverte.ca), so www., app. and the bare domain share one session
+ * - Data left in localStorage by earlier versions is moved to the configured chain
+ * - The retry queue always uses localStorage, falling back to memory, under '<storageKey>_queue'
+ * 
+ * // Share the session across subdomains, fall back to localStorage for data too large for a cookie
+ * window.lmvTrackerConfig = { storage: ['cookie', 'localStorage', 'memory'], cookieDomain: 'auto' };
  * 
  * CONFIGURATION:
  * You can configure the tracker by setting window.lmvTrackerConfig before including the script:
@@ -71,12 +348,93 @@
  *   targetDomain: 'core.lamainverte.ca',              // Default target domain for link decoration
  *   paymentDomain: 'paiement.lamainverte.ca',        // Payment links domain to attach client_reference_id
  *   sessionTimeout: 30,                              // Session timeout in minutes (default: 30)
+ *   sessionTimezone: 'America/Toronto',              // IANA timezone for the midnight session boundary
+ *   splitSessionsAtMidnight: true,                   // Start a new session after midnight (default: true)
+ *   splitSessionsOnCampaignChange: true,             // Start a new session when a different campaign lands (default: true)
  *   enablePageViewTracking: true,                    // Enable/disable page view API calls (default: true)
  *   enableLinkDecoration: true,                      // Enable/disable link decoration (default: true)
  *   enableFormPopulation: true,                      // Enable/disable form field population (default: true)
  *   debugMode: false,                                // Enable debug mode (default: false in production)
  *   requireConsent: false,                           // Require user consent before tracking (default: false)
- *   consentStorageKey: 'lmv_consent_given'           // localStorage key for consent status (default: 'lmv_consent_given')
+ *   consentStorageKey: 'lmv_consent_given',          // Storage key for consent status (default: 'lmv_consent_given')
+ *   storageKey: 'lmv_tracker',                       // Storage key for session data (default: 'lmv_tracker')
+ *   storage: ['localStorage', 'memory'],             // Storage adapter fallback chain (see STORAGE)
+ *   plugins: [],                                     // Plugins registered on load (see PLUGINS AND HOOKS)
+ *   cookieDomain: null,                              // Cookie adapter domain, e.g. 'lamainverte.ca' or 'auto' (default: current host)
+ *   cookieMaxAge: 395,                               // Cookie adapter lifetime in days (default: 395)
+ *   cookieMaxSize: 3800,                             // Largest encoded value stored in a cookie (default: 3800)
+ *   maxEventDataSize: 8192,                          // Max serialized size of custom event data in bytes (default: 8192)
+ *   maxPendingEvents: 50,                            // Max custom events queued before the tracker is ready (default: 50)
+ *   enableHistoryTracking: false,                    // Log page views on SPA route changes (default: false)
+ *   trackHashRoutes: false,                          // Treat URL hash changes as route changes (default: false)
+ *   routeChangeDelay: 100,                           // ms to wait after a route change so the title can update (default: 100)
+ *   enableOfflineQueue: true,                        // Persist and retry failed API requests (default: true)
+ *   maxQueueSize: 100,                               // Max requests kept in the offline queue (default: 100)
+ *   maxRetryAttempts: 10,                            // Attempts before a queued request is dropped (default: 10)
+ *   retryBaseDelay: 2000,                            // First retry delay in ms, doubled on each attempt (default: 2000)
+ *   retryMaxDelay: 300000,                           // Max retry delay in ms (default: 300000, 5 minutes)
+ *   enableBatching: false,                           // Send events in batches (default: false)
+ *   batchPath: '/events/batch',                      // Batch endpoint, relative to apiBaseUrl (default: '/events/batch')
+ *   batchInterval: 2000,                             // Max ms an event waits in the batch buffer (default: 2000)
+ *   batchMaxSize: 10,                                // Events per batch before sending early (default: 10)
+ *   combineSessionRequests: false,                   // Send session upsert and first page view together (default: false)
+ *   attributionWindow: 90,                           // Days a first touch and touchpoints are kept (default: 90)
+ *   maxTouchpoints: 20,                              // Max campaign touches kept in history (default: 20)
+ *   sessionAttribution: 'last',                      // UTMs sent to the session API: 'first', 'last' or 'both' (default: 'last')
+ *   linkAttribution: 'last',                         // UTMs added to decorated links: 'first', 'last' or 'both' (default: 'last')
+ *   formAttribution: 'last',                         // UTMs populated into forms: 'first', 'last' or 'both' (default: 'last')
+ *   consentAdapter: null,                            // Read consent from a CMP: 'tcf' or 'google' (default: null)
+ *   tcfPurposes: {                                   // TCF purposes required per category
+ *     analytics: [1, 8, 9],
+ *     marketing: [1, 2, 4, 7],
+ *     personalization: [1, 5, 6]
+ *   },
+ *   enableConsentBanner: false,                      // Render the built-in consent banner (default: false)
+ *   consentPolicyVersion: '1',                       // Privacy policy version stored with the choice (default: '1')
+ *   consentPolicyUrl: null,                          // Privacy policy link, a URL or { fr, en } (default: null)
+ *   consentBannerText: null,                         // Copy overrides per language, e.g. { fr: { title: '...' } }
+ *   consentBannerTheme: {                            // Banner colors and placement
+ *     position: 'bottom',                            // 'bottom' or 'top'
+ *     backgroundColor: '#ffffff',
+ *     textColor: '#1f2a1f',
+ *     primaryColor: '#2e7d32',
+ *     fontFamily: 'inherit'
+ *   },
+ *   enableSessionStitching: true,                    // Adopt a valid incoming ?uuid= (default: true)
+ *   stitchMaxAge: 120,                               // Max age in minutes of a decorated link (default: 120)
+ *   stitchRequireToken: false,                       // Reject incoming uuids without lmv_ts (default: false)
+ *   stitchSigningKey: null,                          // Shared key to sign and verify decorated links (default: null)
+ *   cleanStitchedUrl: true,                          // Remove uuid/lmv_ts/lmv_sig from the address bar (default: true)
+ *   cleanTrackingParams: false,                      // Also remove UTMs and click IDs from the address bar (default: false)
+ *   decorationRules: null,                           // Link decoration rules, see DECORATION RULES (default: null)
+ *   fieldMapping: null,                              // Extra CSS selectors per tracked value (default: null)
+ *   matchFieldsByName: true,                         // Also populate fields whose name matches (default: true)
+ *   preserveFieldValues: false,                      // Never overwrite values in hidden fields either (default: false)
+ *   enableFormTracking: false,                       // Send an event on form submission (default: false)
+ *   formCaptureFields: [],                           // Field names whose values are sent with the event (default: [])
+ *   enableClickTracking: false,                      // Send events for CTA, payment and outbound clicks (default: false)
+ *   enableEngagementTracking: false,                 // Scroll depth, active time and summary events (default: false)
+ *   scrollMilestones: [25, 50, 75, 100],             // Scroll depth percentages that send an event
+ *   idleTimeout: 30,                                 // Seconds without input before the visitor counts as idle (default: 30)
+ *   heartbeatInterval: 0,                            // Seconds between heartbeats while active, 0 disables (default: 0)
+ *   enablePerformanceTracking: false,                // Core Web Vitals and navigation timing events (default: false)
+ *   performanceSampleRate: 1,                        // Share of sessions reporting performance, 0 to 1 (default: 1)
+ *   enableErrorTracking: false,                      // Send page errors and unhandled rejections (default: false)
+ *   reportTrackerErrors: false,                      // Send the tracker's own internal failures (default: false)
+ *   maxErrorsPerSession: 10,                         // Distinct errors sent per session (default: 10)
+ *   ignoreErrors: [],                                // Error message substrings or regexes to ignore (default: [])
+ *   enableDataLayer: false,                          // Push session, page view and event data to GTM (default: false)
+ *   dataLayerName: 'dataLayer',                      // Name of the GTM dataLayer array (default: 'dataLayer')
+ *   forwardDataLayerEvents: [],                      // dataLayer event names sent to the API (default: none)
+ *   firePixelPageView: false,                        // Fire the Meta Pixel PageView with the tracker's event_id (default: false)
+ *   defaultPhoneCountryCode: '1',                    // Country code added to 10-digit phone numbers in identify() (default: '1')
+ *   enableScrubbing: true,                           // Redact PII from URLs, referrers and event data (default: true)
+ *   scrubQueryParams: ['token', 'password', ...],    // Query parameters always redacted (see PII SCRUBBING)
+ *   allowedQueryParams: null,                        // Only keep these query parameters (default: null, keep all)
+ *   redactPatterns: [],                              // Extra regular expressions to redact
+ *   enableTrafficClassification: true,               // Infer utm_source / utm_medium without UTMs (default: true)
+ *   ownDomains: null,                                // Self-referral domains (default: current site, targetDomain, paymentDomain)
+ *   referralExclusions: ['stripe.com', 'paypal.com'] // Other referrers ignored, e.g. payment pages
  * };
  * 
  * CONSENT MANAGEMENT:
@@ -94,6 +452,62 @@
  *   console.log('Tracking is active');
  * }
  * 
+ * CONSENT CATEGORIES:
+ * Consent is stored per category under consentStorageKey:
+ * - analytics: sessions, page views and events (required for any tracking)
+ * - marketing: ad identifiers (fbp, fbc, fbclid, gclid, gbraid, wbraid, dclid, msclkid, ttclid,
+ *   li_fat_id, twclid); without it, page views are sent with no ad identifiers and none are stored
+ * - personalization: recorded and exposed for site code, the tracker itself does not use it
+ * 
+ * // Grant some categories (unspecified categories keep their current state)
+ * window.lmvTracker.giveConsent({ analytics: true, marketing: false });
+ * 
+ * // Revoke one category (revoking analytics clears all tracking data)
+ * window.lmvTracker.revokeConsent(['marketing']);
+ * 
+ * // Check a single category, or read them all
+ * window.lmvTracker.hasConsent('marketing');
+ * window.lmvTracker.getConsent(); // { analytics: true, marketing: false, personalization: false }
+ * 
+ * giveConsent() and revokeConsent() without arguments grant or revoke every category.
+ * 
+ * CMP ADAPTERS (consentAdapter):
+ * - 'tcf': reads an IAB TCF v2 CMP through window.__tcfapi; categories are granted when all
+ *   purposes listed in tcfPurposes have consent (all granted when GDPR does not apply)
+ * - 'google': follows Google Consent Mode gtag('consent', 'default' | 'update', ...) calls
+ *   (analytics_storage -> analytics, ad_storage + ad_user_data -> marketing,
+ *   personalization_storage -> personalization). 'default' commands are the site's defaults:
+ *   they apply until the user chooses but are never saved, so the consent banner still shows
+ * Adapters are meant to be used with requireConsent: true.
+ * 
+ * GOOGLE TAG MANAGER:
+ * - With enableDataLayer, the tracker pushes to window[dataLayerName]:
+ *   - lmv_session_start when a session starts
+ *   - lmv_page_view on every page view (page_path, page_title)
+ *   - lmv_event for events sent through the tracker (event_type, event_name, event_data)
+ *   Each push carries an lmv object with uuid, visitor_id, session_count and the tracked
+ *   parameters (sessionAttribution), e.g. a "lmv.uuid" Data Layer Variable in GTM
+ * - forwardDataLayerEvents lists dataLayer events sent to the API as 'datalayer' events, from
+ *   dataLayer.push({ event: 'generate_lead', ... }) or gtag('event', 'generate_lead', { ... }).
+ *   Other keys (or the gtag parameters) become the event data, gtm.* keys and callbacks are left out
+ * - Events pushed before the tracker loaded are forwarded too, lmv_* events never are
+ * 
+ * window.lmvTrackerConfig = { enableDataLayer: true, forwardDataLayerEvents: ['generate_lead', 'purchase'] };
+ * 
+ * CONSENT BANNER:
+ * With requireConsent and enableConsentBanner, the tracker renders its own banner until a choice
+ * is stored (and again when consentPolicyVersion changes):
+ * - French or English based on document.documentElement.lang (consentBannerText overrides the copy)
+ * - Accept all, reject all and customize (per category) with equally prominent buttons
+ * - Themeable through consentBannerTheme or the --lmv-consent-* CSS custom properties
+ * - The stored choice records when it was made (updated_at) and the policy version (policy_version)
+ * 
+ * // Reopen the banner with the preferences panel, e.g. from a footer link
+ * window.lmvTracker.showConsentPreferences();
+ * 
+ * // Or mark any element as a "manage preferences" trigger
+ * <a href="#" data-lmv-consent-preferences>Gérer mes préférences</a>
+ * 
  * PRIVACY-COMPLIANT SETUP:
  * For GDPR/privacy compliance, configure the tracker to require consent:
  * 
@@ -113,6 +527,25 @@
  * 5. Populate UTM parameters into form fields with matching IDs
  * 6. Monitor for new links and form fields added dynamically
  * 
+ * MODULE USAGE:
+ * - The file is a UMD module. Loaded with a <script> tag, it creates window.lmvTracker from
+ *   window.lmvTrackerConfig and starts it. Loaded through a bundler, require() or import, it only
+ *   exports createTracker and nothing starts on its own
+ * - It is a CommonJS module for Node: import { createTracker } works through Node's CommonJS
+ *   named export detection (Node 12.20+), and bundlers handle it the same way
+ * - createTracker(config, deps) returns a tracker with the window.lmvTracker API, start() runs it
+ * - deps are all optional: window, fetch, storage (adapter or chain as in STORAGE, also used for
+ *   the retry queue) and clock ({ now() } in milliseconds)
+ * - Trackers are independent, so one page can run several configurations. Give each one its own
+ *   storageKey and consentStorageKey
+ * - Pages using the CDN script can create more trackers with window.lmvCreateTracker
+ * 
+ * const { createTracker } = require('./lmv-tracker.js'); // or import { createTracker } from './lmv-tracker.js'
+ * const tracker = createTracker({ apiBaseUrl: 'https://core.lamainverte.ca/api/v1' }).start();
+ * 
+ * // In tests
+ * createTracker(config, { window: dom.window, fetch: fakeFetch, storage: ['memory'], clock: { now: () => 0 } });
+ * 
  * DEBUGGING:
  * In development environments (localhost or dev domains), the script exposes:
  * - window.lmvTrackerData: Current tracking data object
@@ -136,703 +569,4042 @@
  * @author La Main Verte
  */
 
-(function () {
-    // Configuration with defaults
-    const config = Object.assign({
-        apiBaseUrl: 'https://core.lamainverte.ca/api/v1',
-        targetDomain: 'app.lamainverte.ca',
-        paymentDomain: 'paiement.lamainverte.ca',
-        sessionTimeout: 30, // minutes
-        enablePageViewTracking: true,
-        enableLinkDecoration: true,
-        enableFormPopulation: true,
-        debugMode: false,
-        requireConsent: false, // If true, tracking won't start until consent is given
-        consentStorageKey: 'lmv_consent_given' // Key to check for consent in localStorage
-    }, window.lmvTrackerConfig || {});
-
-    // Constants
-    const STORAGE_KEY = 'lmv_tracker';
-    const SESSION_TIMEOUT_MS = config.sessionTimeout * 60 * 1000;
-    const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'gclid', 'fbp','ref','referrer'];
-    
-    // State
-    let trackerData = null;
-    let isInitialized = false;
-    let consentGiven = false;
-    let pendingInitialization = false;
-
-    // Error handling wrapper
-    function safeExecute(fn, fallback = null) {
-        try {
-            return fn();
-        } catch (error) {
-            logDebug('Tracker error:', error);
-            return fallback;
-        }
-    }
+(function (root, factory) {
+    const lmv = factory(root);
 
-    // UUID generation
-    function generateUUID() {
-        return safeExecute(() => {
-            if (crypto.randomUUID) {
-                return crypto.randomUUID();
-            }
-            // Fallback for older browsers
-            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                const r = Math.random() * 16 | 0;
-                const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                return v.toString(16);
-            });
-        }, 'fallback-uuid-' + Date.now());
+    // Bundlers and Node: export the factory, nothing starts on its own.
+    // Assigned as a named property so Node's ESM import can detect it
+    if (typeof module === 'object' && module.exports) {
+        module.exports.createTracker = lmv.createTracker;
+        return;
     }
+    if (!root) return;
 
-    // Storage utilities
-    function getStoredData() {
-        return safeExecute(() => {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            return raw ? JSON.parse(raw) : null;
-        }, null);
-    }
+    // CDN script: one global tracker configured by window.lmvTrackerConfig
+    const tracker = lmv.createTracker(root.lmvTrackerConfig);
+    root.lmvCreateTracker = lmv.createTracker;
+    root.lmvTracker = tracker;
 
-    function saveStoredData(data) {
-        safeExecute(() => {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-        });
-    }
+    // Expose debug functions and utilities
+    root.lmvDebug = tracker.debug.state;
+    root.lmvDebugLinks = tracker.debug.links;
+    root.lmvDebugUTMFields = tracker.debug.utmFields;
+    root.lmvDebugStorage = tracker.debug.storage;
+    root.lmvDebugSession = tracker.debug.session;
+    Object.defineProperty(root, 'lmvTrackerData', {
+        get: () => tracker.getSessionData(),
+        configurable: true
+    });
 
-    // UTM parameter extraction
-    function extractUTMsFromURL() {
-        return safeExecute(() => {
-            const params = new URLSearchParams(window.location.search);
-            const data = {};
-            
-            for (const key of UTM_FIELDS) {
-                const value = params.get(key);
-                if (value && value.trim()) {
-                    const finalKey = key === 'ref' ? 'referrer' : key;
-                    data[finalKey] = value.trim();
-                }
+    // Watch for debug mode changes
+    Object.defineProperty(root, 'lmvDebugMode', {
+        get: function() {
+            return this._lmvDebugMode || Boolean(root.lmvTrackerConfig && root.lmvTrackerConfig.debugMode);
+        },
+        set: function(value) {
+            this._lmvDebugMode = Boolean(value);
+            if (this._lmvDebugMode) {
+                console.log('🔍 LMV Tracker debug mode enabled');
+                tracker.debug.state();
             }
-            
-            logDebug('Extracted UTM parameters from URL', data);
-            return data;
-        }, {});
-    }
+        },
+        configurable: true
+    });
 
-    // Get fbp cookie value from Meta Pixel
-    function getFbpCookie() {
-        return safeExecute(() => {
-            const cookies = document.cookie.split(';');
-            for (const cookie of cookies) {
-                const [name, value] = cookie.trim().split('=');
-                if (name === '_fbp') {
-                    return value;
-                }
-            }
-            return null;
-        }, null);
-    }
+    // Start the tracker
+    tracker.start();
+})(typeof window !== 'undefined' ? window : null, function (root) {
+    function createTracker(options = {}, deps = {}) {
+        // Injected dependencies, the page globals by default
+        const window = deps.window || root;
+        if (!window || !window.document) {
+            throw new Error('LMV Tracker: createTracker() needs a window, pass deps.window outside the browser');
+        }
+        const document = window.document;
+        const navigator = window.navigator;
+        const clock = deps.clock || Date;
+        const fetchImpl = deps.fetch || ((...args) => window.fetch(...args));
+        // Timers of the injected window, so they stop with it
+        const setTimeout = (...args) => window.setTimeout(...args);
+        const clearTimeout = (...args) => window.clearTimeout(...args);
+        const setInterval = (...args) => window.setInterval(...args);
 
-    // Session management
-    function shouldStartNewSession(lastUpdated) {
-        if (!lastUpdated) return true;
-        const now = Date.now();
-        return now - lastUpdated > SESSION_TIMEOUT_MS;
-    }
+        // Configuration with defaults
+        const config = Object.assign({
+            apiBaseUrl: 'https://core.lamainverte.ca/api/v1',
+            targetDomain: 'app.lamainverte.ca',
+            paymentDomain: 'paiement.lamainverte.ca',
+            sessionTimeout: 30, // minutes
+            sessionTimezone: 'America/Toronto',
+            splitSessionsAtMidnight: true,
+            splitSessionsOnCampaignChange: true,
+            enablePageViewTracking: true,
+            enableLinkDecoration: true,
+            enableFormPopulation: true,
+            debugMode: false,
+            requireConsent: false, // If true, tracking won't start until consent is given
+            storageKey: 'lmv_tracker', // Session data key, the retry queue uses <storageKey>_queue
+            consentStorageKey: 'lmv_consent_given', // Key to check for consent in storage
+            storage: ['localStorage', 'memory'], // Adapter fallback chain
+            cookieDomain: null, // e.g. 'lamainverte.ca' or 'auto'
+            cookieMaxAge: 395, // days
+            cookieMaxSize: 3800, // bytes, browsers cap a cookie at about 4KB
+            plugins: [],
+            maxEventDataSize: 8192, // bytes
+            maxPendingEvents: 50,
+            enableHistoryTracking: false, // SPA route change page views
+            trackHashRoutes: false,
+            routeChangeDelay: 100, // ms
+            enableOfflineQueue: true, // Persist and retry failed API requests
+            maxQueueSize: 100,
+            maxRetryAttempts: 10,
+            retryBaseDelay: 2000, // ms
+            retryMaxDelay: 5 * 60 * 1000, // ms
+            enableBatching: false,
+            batchPath: '/events/batch',
+            batchInterval: 2000, // ms
+            batchMaxSize: 10,
+            combineSessionRequests: false, // Session upsert + first page view in one request
+            attributionWindow: 90, // days
+            maxTouchpoints: 20,
+            sessionAttribution: 'last', // 'first' | 'last' | 'both'
+            linkAttribution: 'last',
+            formAttribution: 'last',
+            consentAdapter: null, // 'tcf' | 'google'
+            tcfPurposes: {
+                analytics: [1, 8, 9], // Store/access information, measure content performance, market research
+                marketing: [1, 2, 4, 7], // Basic ads, personalised ads, measure ad performance
+                personalization: [1, 5, 6] // Personalised content profile and selection
+            },
+            enableConsentBanner: false,
+            consentPolicyVersion: '1',
+            consentPolicyUrl: null, // URL or { fr, en }
+            consentBannerText: null, // { fr: {...}, en: {...} } overrides
+            consentBannerTheme: {},
+            enableSessionStitching: true, // Adopt a valid incoming ?uuid=
+            stitchMaxAge: 120, // minutes
+            stitchRequireToken: false,
+            stitchSigningKey: null,
+            cleanStitchedUrl: true,
+            cleanTrackingParams: false,
+            decorationRules: null, // Defaults to rules for targetDomain and paymentDomain
+            fieldMapping: null, // { [trackedValue]: selector | selector[] }
+            matchFieldsByName: true,
+            preserveFieldValues: false,
+            enableFormTracking: false,
+            formCaptureFields: [], // Field names whose values are captured
+            enableClickTracking: false,
+            enableEngagementTracking: false,
+            scrollMilestones: [25, 50, 75, 100], // percent
+            idleTimeout: 30, // seconds
+            heartbeatInterval: 0, // seconds, 0 disables
+            enablePerformanceTracking: false,
+            performanceSampleRate: 1, // Share of sessions, 0 to 1
+            enableErrorTracking: false,
+            reportTrackerErrors: false,
+            maxErrorsPerSession: 10,
+            ignoreErrors: [], // Substrings or regexes matched against error messages
+            enableDataLayer: false,
+            dataLayerName: 'dataLayer',
+            forwardDataLayerEvents: [],
+            firePixelPageView: false,
+            defaultPhoneCountryCode: '1',
+            enableScrubbing: true,
+            scrubQueryParams: [
+                'token', 'access_token', 'id_token', 'refresh_token', 'reset_token', 'auth', 'code', 'state',
+                'password', 'pass', 'pwd', 'secret', 'key', 'api_key', 'apikey', 'signature',
+                'email', 'mail', 'courriel', 'phone', 'tel', 'telephone',
+                'session_id', 'sessionid', 'checkout_session_id', 'payment_intent', 'payment_intent_client_secret'
+            ],
+            allowedQueryParams: null,
+            redactPatterns: [],
+            enableTrafficClassification: true,
+            ownDomains: null, // Defaults to the current site, targetDomain and paymentDomain
+            referralExclusions: ['stripe.com', 'paypal.com']
+        }, options || {});
 
-    function isValidTrackerData(data) {
-        return data && 
-               typeof data === 'object' && 
-               data.uuid && 
-               data.created_at && 
-               data.last_updated;
-    }
+        // Constants
+        const STORAGE_KEY = config.storageKey;
+        const QUEUE_STORAGE_KEY = `${config.storageKey}_queue`;
+        const BATCH_UNSUPPORTED_STATUSES = [404, 405, 501];
+        const KEEPALIVE_MAX_BYTES = 60 * 1024; // Browsers reject keepalive bodies over 64KB
+        const COMBINED_UNSUPPORTED_STATUSES = [400, 422];
+        const REQUEST_HEADERS = {
+            'Content-Type': 'application/json',
+            'X-Application-Type': 'web'
+        };
+        const SESSION_TIMEOUT_MS = config.sessionTimeout * 60 * 1000;
+        const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'gclid', 'gbraid', 'wbraid', 'dclid', 'msclkid', 'ttclid', 'li_fat_id', 'twclid', 'fbp', 'fbc', 'ref', 'referrer'];
+        const NON_CAMPAIGN_FIELDS = ['fbp', 'fbc', 'ref', 'referrer'];
+        const AD_ID_FIELDS = ['fbclid', 'gclid', 'gbraid', 'wbraid', 'dclid', 'msclkid', 'ttclid', 'li_fat_id', 'twclid', 'fbp', 'fbc'];
+        const CONSENT_CATEGORIES = ['analytics', 'marketing', 'personalization'];
+        const FBC_COOKIE_MAX_AGE = 90 * 24 * 60 * 60; // seconds, same as the Meta Pixel
+        const CAMPAIGN_FIELDS = UTM_FIELDS.filter(field => !NON_CAMPAIGN_FIELDS.includes(field));
+        const ATTRIBUTION_WINDOW_MS = config.attributionWindow * 24 * 60 * 60 * 1000;
+        const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const STITCH_PARAMS = ['uuid', 'lmv_ts', 'lmv_sig'];
+        const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_.:-]{0,63}$/i;
+        const EMAIL_PATTERN = /[a-z0-9._%+-]+(?:@|%40)[a-z0-9.-]+\.[a-z]{2,}/gi;
+        const PHONE_PATTERN = /(?:\+|%2B)\d{10,15}\b|(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+        const TOKEN_PATTERNS = [
+            /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JWT
+            /\b(?=\w*\d)(?=\w*[a-z])\w{32,}\b/gi // Reset tokens, API keys, Stripe session ids
+        ];
+    
+        // State
+        let trackerData = null;
+        let stitchToken = null; // { uuid, timestamp, signature } added to decorated links
+        let navigationDecorationActive = false;
+        let formTrackingActive = false;
+        let clickTrackingActive = false;
+        let engagementTrackingActive = false;
+        let dataLayerForwardingActive = false;
+        let pageViewId = null; // event_id of the current page view, shared with the dataLayer and the Pixel
+        let pendingIdentity = null; // identify() calls made before initialization
+        let domObserverActive = false;
+        let engagement = null; // Engagement of the current page view
+        let idleTimeout = null;
+        let performanceMetrics = null; // Web Vitals of the current document
+        let errorTrackingActive = false;
+        let reportingError = false; // Errors raised while reporting one are not reported
+        let pendingErrors = []; // Errors caught before the session is known
+        let isStarted = false;
+        let isInitialized = false;
+        let consentGiven = false; // Analytics consent, required for any tracking
+        let consentState = { analytics: false, marketing: false, personalization: false };
+        let consentDefaults = null; // Site defaults (Google Consent Mode 'default'), never stored
+        let pendingInitialization = false;
+        let pendingEvents = []; // Custom events tracked before the tracker is ready
+        let historyTrackingActive = false;
+        let lastRoutePath = null;
+        let routeChangeTimeout = null;
+        let queueProcessing = false;
+        let queueRetryTimeout = null;
+        let inFlightRequestId = null;
+        const flushingRequestIds = new Set(); // Queue items sent by flushQueue, awaiting a response
+        let lifecycleListenersActive = false;
+        let eventBuffer = []; // Events waiting to be sent as a batch
+        let eventBufferBytes = 0;
+        let batchTimeout = null;
+        let batchUnsupported = false;
+        let combinedRequestsUnsupported = false;
 
-    // Consent management
-    function checkConsent() {
-        if (!config.requireConsent) {
-            consentGiven = true;
-            return true;
+        // Error handling wrapper
+        function safeExecute(fn, fallback = null) {
+            try {
+                return fn();
+            } catch (error) {
+                logDebug('Tracker error:', error);
+                reportTrackerError(error);
+                return fallback;
+            }
         }
-        
-        // Check localStorage for consent
-        const storedConsent = safeExecute(() => {
-            return localStorage.getItem(config.consentStorageKey);
-        }, null);
-        
-        consentGiven = storedConsent === 'true';
-        logDebug('Consent check', { consentGiven, requireConsent: config.requireConsent });
-        return consentGiven;
-    }
 
-    function giveConsent() {
-        consentGiven = true;
-        safeExecute(() => {
-            localStorage.setItem(config.consentStorageKey, 'true');
-        });
-        logDebug('Consent given');
-        
-        // Initialize tracking if it was pending
-        if (pendingInitialization && !isInitialized) {
-            logDebug('Starting delayed initialization after consent');
-            initializeTracker();
+        // For failures that are expected (feature probes, storage blocked in private mode, invalid
+        // URLs from the page): fall back without reporting them as tracker errors
+        function attempt(fn, fallback = null) {
+            try {
+                return fn();
+            } catch (error) {
+                return fallback;
+            }
         }
-    }
 
-    function revokeConsent() {
-        consentGiven = false;
-        safeExecute(() => {
-            localStorage.removeItem(config.consentStorageKey);
-            // Optionally clear tracking data
-            localStorage.removeItem(STORAGE_KEY);
-        });
-        
-        // Reset tracker state
-        trackerData = null;
-        isInitialized = false;
-        window.lmvTrackerData = null;
-        
-        logDebug('Consent revoked and tracking data cleared');
-    }
+        // UUID generation
+        function generateUUID() {
+            return safeExecute(() => {
+                if (window.crypto && window.crypto.randomUUID) {
+                    return window.crypto.randomUUID();
+                }
+                // Fallback for older browsers
+                return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+                    const r = Math.random() * 16 | 0;
+                    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+                    return v.toString(16);
+                });
+            }, 'fallback-uuid-' + clock.now());
+        }
 
-    // Debug logging function
-    function logDebug(message, data = null) {
-        if (config.debugMode || window.lmvDebugMode || 
-            window.location.hostname === 'localhost' || 
-            window.location.hostname.includes('dev')) {
-            console.log(`🔍 LMV Tracker: ${message}`, data || '');
+        // Storage adapters
+        function createMemoryStorage() {
+            const items = {};
+            return {
+                getItem: key => (key in items ? items[key] : null),
+                setItem: (key, value) => { items[key] = String(value); },
+                removeItem: key => { delete items[key]; }
+            };
         }
-    }
 
-    // API communication
-    async function createOrUpdateSession(sessionData) {
-        if (!config.enablePageViewTracking) return true;
+        function getCookieAttributes(domain) {
+            const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+            return `; path=/${domain ? `; domain=${domain}` : ''}; SameSite=Lax${secure}`;
+        }
 
-        try {
-            // Get fbp cookie value
-            const fbp = getFbpCookie();
-            
-            // Prepare UTM parameters to send to API
-            const utmParams = {};
-            UTM_FIELDS.forEach(field => {
-                if (sessionData[field]) {
-                    utmParams[field] = sessionData[field];
+        // Broadest parent domain that accepts cookies (public suffixes like .ca are refused)
+        function detectCookieDomain() {
+            const parts = window.location.hostname.split('.');
+            for (let i = parts.length - 2; i > 0; i--) {
+                const domain = parts.slice(i).join('.');
+                document.cookie = `lmv_cookie_test=1; max-age=10${getCookieAttributes(domain)}`;
+                if (getCookie('lmv_cookie_test') === '1') {
+                    document.cookie = `lmv_cookie_test=; max-age=0${getCookieAttributes(domain)}`;
+                    return domain;
                 }
-            });
-            
-            // Add fbp if available
-            if (fbp) {
-                utmParams.fbp = fbp;
-            }
-            
-            logDebug('Session API payload', { uuid: sessionData.uuid, utmParams });
-
-            const response = await fetch(`${config.apiBaseUrl}/sessions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Application-Type': 'web'
-                },
-                body: JSON.stringify({
-                    uuid: sessionData.uuid,
-                    platform: 'web',
-                    ...utmParams
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                logDebug('Session created/updated successfully', data);
-                return true;
-            } else {
-                logDebug('Failed to create/update session', { status: response.status });
-                return false;
             }
-        } catch (error) {
-            logDebug('Session API error', error);
-            return false;
+            return null;
         }
-    }
 
-    async function logPageViewEvent(sessionData, path, title, utmParams) {
-        if (!config.enablePageViewTracking) return true;
+        function createCookieStorage() {
+            const domain = config.cookieDomain === 'auto'
+                ? attempt(detectCookieDomain, null)
+                : config.cookieDomain;
+            const attributes = getCookieAttributes(domain);
 
-        try {
-            // Get fbp cookie value for this event
-            const fbp = getFbpCookie();
-            
-            const eventData = {
-                uuid: sessionData.uuid,
-                event_type: 'view',
-                event_name: 'page',
-                platform: 'web',
-                event_data: {
-                    path: path,
-                    title: title || document.title,
+            return {
+                getItem: key => {
+                    const value = getCookie(key);
+                    return value === null ? null : decodeURIComponent(value);
                 },
-                // UTM parameters as direct properties (not nested in event_data)
-                ...utmParams,
-                // Add fbp if available
-                ...(fbp && { fbp }),
-                ip_address: sessionData.ip_address,
-                user_agent: navigator.userAgent,
-                // Handle referrer: prioritize ref parameter over document.referrer
-                referrer: sessionData.referrer || document.referrer || null
+                setItem: (key, value) => {
+                    const encoded = encodeURIComponent(value);
+                    if (encoded.length > config.cookieMaxSize) {
+                        throw new Error(`Value too large for a cookie (${encoded.length} bytes)`);
+                    }
+                    document.cookie = `${key}=${encoded}; max-age=${config.cookieMaxAge * 24 * 60 * 60}${attributes}`;
+                    if (getCookie(key) !== encoded) {
+                        throw new Error('Cookie rejected by the browser');
+                    }
+                },
+                removeItem: key => {
+                    document.cookie = `${key}=; max-age=0${attributes}`;
+                }
             };
+        }
 
-            const response = await fetch(`${config.apiBaseUrl}/sessions/${sessionData.uuid}/events`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Application-Type': 'web'
-                },
-                body: JSON.stringify(eventData)
-            });
+        const STORAGE_ADAPTERS = {
+            localStorage: () => window.localStorage,
+            sessionStorage: () => window.sessionStorage,
+            cookie: createCookieStorage,
+            memory: createMemoryStorage
+        };
 
-            if (response.ok) {
-                const data = await response.json();
-                logDebug('Page view event logged successfully', data);
-                return true;
-            } else {
-                logDebug('Failed to log page view event', { 
-                    status: response.status,
-                    eventData: eventData
-                });
-                return false;
-            }
-        } catch (error) {
-            logDebug('Page view event API error', error);
-            return false;
+        function isStorageAdapter(value) {
+            return !!value && ['getItem', 'setItem', 'removeItem'].every(method => typeof value[method] === 'function');
         }
-    }
 
-    // Link decoration
-    function decorateLinks() {
-        if (!config.enableLinkDecoration) return 0;
-
-        return safeExecute(() => {
-            const links = document.querySelectorAll(`a[href*="${config.targetDomain}"], a[href^="https://${config.paymentDomain}"]`);
-            let decoratedCount = 0;
-            
-            links.forEach(link => {
-                try {
-                    const url = new URL(link.href);
-                    const isTarget = url.hostname === config.targetDomain;
-                    const isPayment = url.hostname === config.paymentDomain;
-
-                    if (isTarget) {
-                        // Only decorate if not already decorated
-                        if (!url.searchParams.has('uuid')) {
-                            url.searchParams.set('uuid', trackerData.uuid);
-                            
-                            { const addedParams = new Set();
-                              UTM_FIELDS.forEach(param => {
-                                const value = trackerData[param];
-                                if (!value) return;
-                                const targetName = (param === 'referrer' || param === 'ref') ? 'ref' : param;
-                                if (!url.searchParams.has(targetName) && !addedParams.has(targetName)) {
-                                    url.searchParams.set(targetName, value);
-                                    addedParams.add(targetName);
-                                }
-                              });
-                            }
-                            
-                            // Add fbp if available and not already in URL
-                            const fbp = getFbpCookie();
-                            if (fbp && !url.searchParams.has('fbp')) {
-                                url.searchParams.set('fbp', fbp);
-                            }
-                            
-                            link.href = url.toString();
-                            decoratedCount++;
-                            
-                            logDebug('Decorated app link', { 
-                                original: link.href, 
-                                decorated: url.toString() 
-                            });
-                        }
-                    } else if (isPayment) {
-                        // Set client_reference_id to session UUID for payment links
-                        if (!url.searchParams.has('client_reference_id')) {
-                            url.searchParams.set('client_reference_id', trackerData.uuid);
-                            link.href = url.toString();
-                            decoratedCount++;
-                            logDebug('Decorated payment link', {
-                                original: link.href,
-                                decorated: url.toString()
-                            });
-                        }
-                    }
-                } catch (error) {
-                    console.warn('Failed to decorate link:', link.href, error);
+        function createStorageChain(entries) {
+            const chain = [];
+            [].concat(entries || []).forEach(entry => {
+                // Accessing window.localStorage throws when storage is disabled
+                const adapter = typeof entry === 'string'
+                    ? attempt(() => STORAGE_ADAPTERS[entry] && STORAGE_ADAPTERS[entry](), null)
+                    : entry;
+                if (isStorageAdapter(adapter)) {
+                    chain.push({ name: typeof entry === 'string' ? entry : 'custom', adapter });
+                } else {
+                    logDebug('Ignored unavailable storage adapter', entry);
                 }
             });
-            
-            logDebug(`Decorated ${decoratedCount} links`);
-            return decoratedCount;
-        }, 0);
-    }
+            return chain.length > 0 ? chain : [{ name: 'memory', adapter: createMemoryStorage() }];
+        }
 
-    // Form field population
-    function populateUTMFields() {
-        if (!config.enableFormPopulation) return 0;
+        const storageChain = createStorageChain(deps.storage || config.storage);
+        const queueStorageChain = createStorageChain(deps.storage || ['localStorage', 'memory']);
 
-        return safeExecute(() => {
-            let populatedCount = 0;
-            
-            UTM_FIELDS.forEach(param => {
-                if (trackerData[param]) {
-                    // Find all elements with the UTM parameter as ID
-                    const elements = document.querySelectorAll(`#${param}`);
-                    
-                    elements.forEach(element => {
-                        try {
-                            // Handle different input types
-                            if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                                if (element.type === 'hidden' || element.type === 'text' || element.type === '') {
-                                    element.value = trackerData[param];
-                                    populatedCount++;
-                                    logDebug(`Populated ${param} field`, { 
-                                        elementType: element.tagName, 
-                                        elementId: element.id, 
-                                        value: trackerData[param] 
-                                    });
-                                }
-                            } else if (element.tagName === 'SELECT') {
-                                // For select elements, try to find and select the option with matching value
-                                const option = Array.from(element.options).find(opt => 
-                                    opt.value === trackerData[param] || opt.textContent === trackerData[param]
-                                );
-                                if (option) {
-                                    element.value = option.value;
-                                    populatedCount++;
-                                    logDebug(`Populated ${param} select field`, { 
-                                        elementId: element.id, 
-                                        selectedValue: option.value 
-                                    });
-                                }
-                            }
-                        } catch (error) {
-                            console.warn(`Failed to populate ${param} field:`, element, error);
-                        }
-                    });
+        function readStorage(key, chain = storageChain) {
+            for (const { name, adapter } of chain) {
+                try {
+                    const value = adapter.getItem(key);
+                    if (value !== null && value !== undefined) return value;
+                } catch (error) {
+                    logDebug(`Storage read failed (${name})`, error);
                 }
-            });
-            
-            // Also populate fbp field if available from cookie
-            const fbp = getFbpCookie();
-            if (fbp) {
-                const fbpElements = document.querySelectorAll('#fbp');
-                fbpElements.forEach(element => {
-                    try {
-                        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                            if (element.type === 'hidden' || element.type === 'text' || element.type === '') {
-                                element.value = fbp;
-                                populatedCount++;
-                                logDebug('Populated fbp field from cookie', { 
-                                    elementType: element.tagName, 
-                                    elementId: element.id, 
-                                    value: fbp 
-                                });
-                            }
-                        } else if (element.tagName === 'SELECT') {
-                            const option = Array.from(element.options).find(opt => 
-                                opt.value === fbp || opt.textContent === fbp
-                            );
-                            if (option) {
-                                element.value = option.value;
-                                populatedCount++;
-                                logDebug('Populated fbp select field from cookie', { 
-                                    elementId: element.id, 
-                                    selectedValue: option.value 
-                                });
-                            }
-                        }
-                    } catch (error) {
-                        console.warn('Failed to populate fbp field:', element, error);
-                    }
-                });
             }
-            
-            logDebug(`Populated ${populatedCount} UTM fields`);
-            return populatedCount;
-        }, 0);
-    }
+            return null;
+        }
 
-    // Dynamic content observer
-    function observeDOMChanges() {
-        if (!window.MutationObserver) return;
-        
-        const observer = new MutationObserver((mutations) => {
-            let shouldDecorate = false;
-            let shouldPopulate = false;
-            
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                    mutation.addedNodes.forEach((node) => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            // Check for new links
-                            if (config.enableLinkDecoration) {
-                                const links = node.querySelectorAll ? node.querySelectorAll(`a[href*="${config.targetDomain}"], a[href^="https://${config.paymentDomain}"]`) : [];
-                                if (links.length > 0) {
-                                    shouldDecorate = true;
-                                    logDebug('New links detected in DOM', { count: links.length });
-                                }
-                            }
-                            
-                            // Check for new UTM form fields
-                            if (config.enableFormPopulation) {
-                                const utmFields = node.querySelectorAll ? node.querySelectorAll(UTM_FIELDS.map(field => `#${field}`).join(',')) : [];
-                                const fbpFields = node.querySelectorAll ? node.querySelectorAll('#fbp') : [];
-                                if (utmFields.length > 0 || fbpFields.length > 0) {
-                                    shouldPopulate = true;
-                                    logDebug('New UTM form fields detected in DOM', { 
-                                        utmCount: utmFields.length,
-                                        fbpCount: fbpFields.length
-                                    });
-                                }
-                            }
-                        }
-                    });
+        function writeStorage(key, value, chain = storageChain) {
+            for (let i = 0; i < chain.length; i++) {
+                try {
+                    chain[i].adapter.setItem(key, value);
+                } catch (error) {
+                    logDebug(`Storage write failed (${chain[i].name}), trying the next adapter`, error);
+                    continue;
                 }
-            });
-            
-            if (shouldDecorate || shouldPopulate) {
-                // Debounce to avoid excessive calls
-                clearTimeout(window.lmvTrackerTimeout);
-                window.lmvTrackerTimeout = setTimeout(() => {
-                    if (shouldDecorate) {
-                        const count = decorateLinks();
-                        logDebug('Decorated links after DOM change', { count });
-                    }
-                    if (shouldPopulate) {
-                        const count = populateUTMFields();
-                        logDebug('Populated UTM fields after DOM change', { count });
-                    }
-                }, 100);
+                // Stale copies further down the chain would come back if this adapter is cleared
+                chain.forEach((other, j) => {
+                    if (j !== i) attempt(() => other.adapter.removeItem(key));
+                });
+                return true;
             }
-        });
-        
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
-        
-        logDebug('DOM observer initialized');
-    }
+            return false;
+        }
 
-    // Main initialization function
-    async function initializeTracker() {
-        if (isInitialized) return trackerData;
-        
-        // Check consent before proceeding
-        if (!checkConsent()) {
-            logDebug('Tracking initialization blocked - consent required but not given');
-            pendingInitialization = true;
-            return null;
+        function removeStorage(key, chain = storageChain) {
+            chain.forEach(({ adapter }) => attempt(() => adapter.removeItem(key)));
         }
 
-        const stored = getStoredData();
-        const now = Date.now();
-        const utms = extractUTMsFromURL();
-        const hasNewUTMs = Object.keys(utms).length > 0;
-        const currentPath = window.location.pathname + window.location.search;
-        const currentTitle = document.title;
+        // Move data written to localStorage by earlier versions into the configured chain
+        function migrateLegacyStorage() {
+            [STORAGE_KEY, config.consentStorageKey].forEach(key => {
+                const legacy = attempt(() => window.localStorage.getItem(key), null);
+                if (legacy === null) return;
 
-        // Validate stored data and create new session if needed
-        if (!isValidTrackerData(stored) || shouldStartNewSession(stored.last_updated)) {
-            trackerData = {
-                uuid: generateUUID(),
-                created_at: now,
-                last_updated: now,
-                page_views: 1,
-                current_path: currentPath,
-                current_title: currentTitle,
-                ...(isValidTrackerData(stored) ? stored : {}), // Preserve valid stored data
-                ...utms // Include UTM parameters
-            };
-            logDebug('Created new session', { 
-                sessionId: trackerData.uuid, 
-                utms: utms,
-                path: currentPath
-            });
-        } else {
-            trackerData = {
-                ...stored,
-                last_updated: now,
-                page_views: (stored.page_views || 0) + 1,
-                current_path: currentPath,
-                current_title: currentTitle
-            };
-            
-            if (hasNewUTMs) {
-                Object.assign(trackerData, utms);
-                logDebug('Updated UTM parameters', utms);
-            }
-            
-            logDebug('Continued existing session', { 
-                uuid: trackerData.uuid, 
-                pageViews: trackerData.page_views,
-                path: currentPath
+                const current = key === STORAGE_KEY ? getStoredData() : readStorage(key);
+                const written = key === STORAGE_KEY
+                    ? saveStoredData(current || JSON.parse(legacy))
+                    : writeStorage(key, current !== null ? current : legacy);
+                if (!written) return;
+                if (!storageChain.some(({ name }) => name === 'localStorage')) {
+                    attempt(() => window.localStorage.removeItem(key));
+                }
+                logDebug('Migrated stored data', { key, storage: storageChain.map(({ name }) => name) });
             });
         }
 
-        // Capture fbp cookie if available and not already stored
-        const fbp = getFbpCookie();
-        if (fbp && !trackerData.fbp) {
-            trackerData.fbp = fbp;
-            logDebug('Captured fbp cookie', { fbp });
+        // Storage utilities
+        // Fields that stay on this subdomain, the shared cookie only carries identity and attribution
+        const LOCAL_ONLY_FIELDS = ['touchpoints', 'current_path', 'current_title', 'reported_errors'];
+        // What the cookie keeps when campaign values are too long for it (source and medium so
+        // other subdomains don't see a direct visit and split the session)
+        const COOKIE_CORE_FIELDS = ['uuid', 'visitor_id', 'first_seen', 'session_count', 'created_at', 'last_updated', 'page_views', 'utm_source', 'utm_medium'];
+
+        function pickFields(data, fields) {
+            return fields.reduce((acc, field) => {
+                if (data[field] !== undefined) acc[field] = data[field];
+                return acc;
+            }, {});
         }
 
-        // Save data locally
-        saveStoredData(trackerData);
+        // The cookie holds the shared copy, the rest of the chain the full record of this subdomain
+        function splitStorageChain() {
+            return {
+                shared: storageChain.filter(({ name }) => name === 'cookie'),
+                local: storageChain.filter(({ name }) => name !== 'cookie')
+            };
+        }
 
-        // Create or update session on backend
-        const sessionCreated = await createOrUpdateSession(trackerData);
-        
-        // Log page view event
-        if (sessionCreated) {
-            await logPageViewEvent(trackerData, currentPath, currentTitle, utms);
+        function parseStored(raw) {
+            return raw ? JSON.parse(raw) : null;
         }
 
-        // Initialize DOM interactions
-        const decoratedCount = decorateLinks();
-        const populatedCount = populateUTMFields();
-        observeDOMChanges();
+        // The shared copy wins; after a session started on another subdomain only this one's history is kept
+        function mergeStoredData(shared, local) {
+            if (!shared || !local) return shared || local;
+            if (shared.uuid === local.uuid) return { ...local, ...shared };
+            return { ...pickFields(local, ['touchpoints', 'first_touch']), ...shared };
+        }
 
-        // Mark as initialized
-        isInitialized = true;
+        function getStoredData() {
+            return safeExecute(() => {
+                const { shared, local } = splitStorageChain();
+                if (shared.length === 0) return parseStored(readStorage(STORAGE_KEY));
+                return mergeStoredData(
+                    parseStored(readStorage(STORAGE_KEY, shared)),
+                    local.length > 0 ? parseStored(readStorage(STORAGE_KEY, local)) : null
+                );
+            }, null);
+        }
 
-        // Expose data for debugging
-        window.lmvTrackerData = trackerData;
+        function writeSharedData(data, chain) {
+            const compact = { ...data };
+            LOCAL_ONLY_FIELDS.forEach(field => delete compact[field]);
+            if (writeStorage(STORAGE_KEY, JSON.stringify(compact), chain)) return true;
 
-        logDebug('Tracker initialized', {
-            uuid: trackerData.uuid,
-            decoratedLinks: decoratedCount,
-            populatedUTMFields: populatedCount,
-            utmParams: utms,
-            config: config
-        });
+            logDebug('Stored data too large for the cookie, sharing the session only');
+            if (writeStorage(STORAGE_KEY, JSON.stringify(pickFields(data, COOKIE_CORE_FIELDS)), chain)) return true;
 
-        return trackerData;
-    }
+            // A stale shared copy would win over the local one
+            removeStorage(STORAGE_KEY, chain);
+            return false;
+        }
 
-    // Debug functions exposed to window
-    function debugCurrentState() {
-        const utms = extractUTMsFromURL();
-        
-        console.group('🔍 LMV Tracker Debug Info');
-        console.log('Current Tracker Data:', trackerData);
-        console.log('Current URL UTMs:', utms);
-        console.log('Current Path:', window.location.pathname + window.location.search);
-        console.log('Current Title:', document.title);
-        console.log('Configuration:', config);
-        console.log('Session Timeout (ms):', SESSION_TIMEOUT_MS);
-        console.log('Debug Mode:', window.lmvDebugMode);
-        console.groupEnd();
-    }
+        function saveStoredData(data) {
+            return safeExecute(() => {
+                const { shared, local } = splitStorageChain();
+                if (shared.length === 0) return writeStorage(STORAGE_KEY, JSON.stringify(data));
 
-    function debugDecoratedLinks() {
-        const links = document.querySelectorAll(`a[href*="${config.targetDomain}"]`);
-        console.group('🔗 Decorated Links');
-        links.forEach((link, index) => {
-            console.log(`Link ${index + 1}:`, {
-                text: link.textContent?.trim() || 'No text',
-                href: link.href,
-                hasSessionUUID: link.href.includes('uuid'),
-                hasUtmParams: UTM_FIELDS.some(param => link.href.includes(param))
-            });
-        });
-        console.log(`Total links found: ${links.length}`);
-        console.groupEnd();
-    }
+                const sharedWritten = writeSharedData(data, shared);
+                const localWritten = local.length > 0 && writeStorage(STORAGE_KEY, JSON.stringify(data), local);
+                return sharedWritten || localWritten;
+            }, false);
+        }
 
-    function debugUTMFields() {
-        console.group('📝 UTM Form Fields');
-        UTM_FIELDS.forEach(param => {
-            const elements = document.querySelectorAll(`#${param}`);
-            console.log(`${param}:`, {
-                count: elements.length,
-                elements: Array.from(elements).map(el => ({
-                    tagName: el.tagName,
-                    type: el.type || 'N/A',
-                    value: el.value || 'N/A',
-                    hasValue: !!el.value
-                }))
-            });
-        });
-        
-        console.groupEnd();
-    }
+        // PII scrubbing
+        function redactText(text, includeTokens) {
+            let result = text
+                .replace(EMAIL_PATTERN, 'REDACTED_EMAIL')
+                .replace(PHONE_PATTERN, 'REDACTED_PHONE');
+            if (includeTokens) {
+                TOKEN_PATTERNS.forEach(pattern => {
+                    result = result.replace(pattern, 'REDACTED_TOKEN');
+                });
+            }
+            [].concat(config.redactPatterns || []).forEach(pattern => {
+                const regex = pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g') : new RegExp(pattern, 'g');
+                result = result.replace(regex, 'REDACTED');
+            });
+            return result;
+        }
 
-    function debugStorage() {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        console.group('💾 Storage Debug');
-        console.log('Raw storage:', raw);
-        console.log('Parsed data:', raw ? JSON.parse(raw) : null);
-        console.log('Storage key:', STORAGE_KEY);
-        console.groupEnd();
-    }
+        function isScrubbedParam(name) {
+            const key = name.toLowerCase();
+            if (UTM_FIELDS.includes(key) || STITCH_PARAMS.includes(key)) return false;
+            if ((config.scrubQueryParams || []).some(param => param.toLowerCase() === key)) return true;
+            return Array.isArray(config.allowedQueryParams) &&
+                !config.allowedQueryParams.some(param => param.toLowerCase() === key);
+        }
+
+        // Campaign values and click IDs get the same treatment as when they're tracked, the token
+        // patterns would mangle click IDs; stitching parameters are kept as they are
+        function scrubParamValue(name, value) {
+            const key = name.toLowerCase();
+            if (STITCH_PARAMS.includes(key)) return value;
+            if (UTM_FIELDS.includes(key)) return scrubTrackedValue(key, value);
+            return isScrubbedParam(name) ? 'REDACTED' : redactText(value, true);
+        }
+
+        function scrubParams(params) {
+            Array.from(new Set(params.keys())).forEach(name => {
+                const values = params.getAll(name);
+                params.delete(name);
+                values.forEach(value => {
+                    params.append(name, scrubParamValue(name, value));
+                });
+            });
+            return params.toString();
+        }
+
+        // Relative URLs stay relative
+        function scrubUrl(value) {
+            if (!config.enableScrubbing || !value || typeof value !== 'string') return value;
+
+            return safeExecute(() => {
+                const isRelative = !/^[a-z][a-z0-9+.-]*:/i.test(value) && !value.startsWith('//');
+                const url = new URL(value, window.location.origin);
+
+                const search = scrubParams(url.searchParams);
+                let hash = url.hash.slice(1);
+                hash = hash.includes('=') ? scrubParams(new URLSearchParams(hash)) : redactText(hash, true);
+
+                const path = redactText(url.pathname, true) + (search ? `?${search}` : '') + (hash ? `#${hash}` : '');
+                return isRelative ? path : url.origin + path;
+            }, redactText(value, true));
+        }
+
+        function isUrlLike(value) {
+            return /^(https?:)?\/\//i.test(value) || value.startsWith('/');
+        }
+
+        // Strings in event data: URLs are scrubbed like paths, other text for emails and phones
+        function scrubValue(value) {
+            if (typeof value === 'string') {
+                return isUrlLike(value) ? scrubUrl(value) : redactText(value, false);
+            }
+            if (Array.isArray(value)) return value.map(scrubValue);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).reduce((acc, key) => ({ ...acc, [key]: scrubValue(value[key]) }), {});
+            }
+            return value;
+        }
+
+        // Tracked values: referrers are scrubbed like URLs, campaign values like text
+        function scrubTrackedValue(field, value) {
+            if (field === 'referrer') return scrubUrl(value);
+            if (!config.enableScrubbing || typeof value !== 'string' || AD_ID_FIELDS.includes(field)) return value;
+            return redactText(value, false);
+        }
+
+        function scrubEventData(eventData) {
+            return config.enableScrubbing ? scrubValue(eventData) : eventData;
+        }
+
+        // UTM parameter extraction
+        function extractUTMsFromURL() {
+            return safeExecute(() => {
+                const params = new URLSearchParams(window.location.search);
+                const data = {};
+            
+                for (const key of UTM_FIELDS) {
+                    // Ad identifiers are never captured without marketing consent
+                    if (!isFieldAllowed(key)) continue;
+                    const value = params.get(key);
+                    if (value && value.trim()) {
+                        const finalKey = key === 'ref' ? 'referrer' : key;
+                        data[finalKey] = scrubTrackedValue(finalKey, value.trim());
+                    }
+                }
+            
+                logDebug('Extracted UTM parameters from URL', data);
+                return data;
+            }, {});
+        }
+
+        // Get fbp cookie value from Meta Pixel
+        function getFbpCookie() {
+            return hasMarketingConsent() ? getCookie('_fbp') : null;
+        }
+
+        // Get fbc cookie value (set by the Meta Pixel or built from fbclid)
+        function getFbcCookie() {
+            return hasMarketingConsent() ? getCookie('_fbc') : null;
+        }
+
+        // Stored fbc (built from the landing fbclid) or the current cookie
+        function getFbc(sessionData) {
+            if (!hasMarketingConsent()) return null;
+            return sessionData.fbc || getFbcCookie();
+        }
+
+        function getCookie(cookieName) {
+            return safeExecute(() => {
+                const cookies = document.cookie.split(';');
+                for (const cookie of cookies) {
+                    const [name, ...rest] = cookie.trim().split('=');
+                    if (name === cookieName) {
+                        return rest.join('=');
+                    }
+                }
+                return null;
+            }, null);
+        }
+
+        // Build and persist _fbc from fbclid, in the fb.1.<timestamp>.<fbclid> format the Meta Pixel uses
+        function buildFbc(fbclid) {
+            return safeExecute(() => {
+                // Keep the original timestamp when the cookie already holds this click
+                const existing = getFbcCookie();
+                if (existing && existing.split('.').slice(3).join('.') === fbclid) {
+                    return existing;
+                }
+
+                const fbc = `fb.1.${clock.now()}.${fbclid}`;
+                document.cookie = `_fbc=${fbc}; max-age=${FBC_COOKIE_MAX_AGE}; path=/; SameSite=Lax`;
+                logDebug('Built fbc from fbclid', { fbc });
+                return fbc;
+            }, null);
+        }
+
+        // Capture Meta browser and click identifiers into tracker data
+        function captureMetaIdentifiers(data, utms) {
+            // Capture fbp cookie if available and not already stored
+            const fbp = getFbpCookie();
+            if (fbp && !data.fbp) {
+                data.fbp = fbp;
+                logDebug('Captured fbp cookie', { fbp });
+            }
+
+            // An fbc passed by a decorated link or a new fbclid wins over the stored click,
+            // otherwise use the Meta Pixel cookie
+            const fbc = utms.fbc || (utms.fbclid ? buildFbc(utms.fbclid) : getFbcCookie());
+            if (fbc && fbc !== data.fbc) {
+                data.fbc = fbc;
+                logDebug('Captured fbc', { fbc });
+            }
+
+            return data;
+        }
+
+        // Session management
+        function shouldStartNewSession(lastUpdated) {
+            if (!lastUpdated) return true;
+            const now = clock.now();
+            if (now - lastUpdated > SESSION_TIMEOUT_MS) return true;
+            return config.splitSessionsAtMidnight && getDayKey(lastUpdated) !== getDayKey(now);
+        }
+
+        // Calendar day in the site timezone (local time if the timezone is invalid)
+        function getDayKey(timestamp) {
+            return attempt(() => new Intl.DateTimeFormat('en-CA', {
+                timeZone: config.sessionTimezone || undefined,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            }).format(timestamp), new Date(timestamp).toDateString());
+        }
+
+        // New UTMs for another campaign than the current one
+        function isCampaignChange(sessionData, utms) {
+            if (!config.splitSessionsOnCampaignChange) return false;
+
+            const campaign = pickCampaignFields(utms);
+            if (Object.keys(campaign).length === 0) return false;
+
+            const current = sessionData.last_touch || pickCampaignFields(sessionData);
+            return !isSameTouch(current, campaign);
+        }
+
+        // Long-lived visitor identity, kept across sessions
+        function getVisitor(sessionData, now, isNewSession) {
+            const previous = sessionData || {};
+            return {
+                visitor_id: previous.visitor_id || generateUUID(),
+                // Data stored before visitor IDs existed only knows when its session started
+                first_seen: previous.first_seen || previous.created_at || now,
+                session_count: Math.max(1, (previous.session_count || 0) + (isNewSession ? 1 : 0))
+            };
+        }
+
+        function isValidTrackerData(data) {
+            return data && 
+                   typeof data === 'object' && 
+                   data.uuid && 
+                   data.created_at && 
+                   data.last_updated;
+        }
+
+        // Cross-domain session stitching
+        async function signSessionToken(uuid, timestamp) {
+            if (!config.stitchSigningKey || !window.crypto || !window.crypto.subtle) return null;
+
+            const encoder = new window.TextEncoder();
+            const key = await window.crypto.subtle.importKey(
+                'raw',
+                encoder.encode(config.stitchSigningKey),
+                { name: 'HMAC', hash: 'SHA-256' },
+                false,
+                ['sign']
+            );
+            const signature = await window.crypto.subtle.sign('HMAC', key, encoder.encode(`${uuid}.${timestamp}`));
+
+            // base64url so it survives in query strings untouched
+            return window.btoa(String.fromCharCode(...new Uint8Array(signature)))
+                .replace(/\+/g, '-')
+                .replace(/\//g, '_')
+                .replace(/=+$/, '');
+        }
+
+        async function refreshStitchToken() {
+            if (!config.enableSessionStitching || !trackerData) return;
+
+            const timestamp = clock.now();
+            try {
+                const signature = await signSessionToken(trackerData.uuid, timestamp);
+                stitchToken = { uuid: trackerData.uuid, timestamp, signature };
+            } catch (error) {
+                logDebug('Failed to sign session token', error);
+                stitchToken = { uuid: trackerData.uuid, timestamp, signature: null };
+            }
+        }
+
+        // Tokens are renewed after a quarter of stitchMaxAge, well before receiving domains reject them
+        function getStitchRefreshInterval() {
+            return config.stitchMaxAge * 60 * 1000 / 4;
+        }
+
+        // Called right before a link or form is decorated for navigation. Unsigned tokens are renewed
+        // on the spot; signing is async, so a signed token is renewed for the following navigations
+        // (the refresh timer keeps the current one within stitchMaxAge)
+        function ensureFreshStitchToken() {
+            if (!config.enableSessionStitching || !trackerData) return;
+
+            const age = stitchToken && stitchToken.uuid === trackerData.uuid
+                ? clock.now() - stitchToken.timestamp
+                : Infinity;
+            if (age >= 0 && age < getStitchRefreshInterval()) return;
+
+            if (!config.stitchSigningKey) {
+                stitchToken = { uuid: trackerData.uuid, timestamp: clock.now(), signature: null };
+                return;
+            }
+            refreshStitchToken().then(() => decorateLinks());
+        }
+
+        // Returns the incoming session UUID when the landing URL carries a valid one
+        async function getIncomingSessionUUID() {
+            if (!config.enableSessionStitching) return null;
+
+            try {
+                const params = new URLSearchParams(window.location.search);
+                const uuid = params.get('uuid');
+                if (!uuid) return null;
+
+                if (!UUID_PATTERN.test(uuid)) {
+                    logDebug('Ignoring incoming uuid: invalid format', { uuid });
+                    return null;
+                }
+
+                const timestamp = Number(params.get('lmv_ts'));
+                const tokenRequired = config.stitchRequireToken || !!config.stitchSigningKey;
+                if (!timestamp) {
+                    if (tokenRequired) {
+                        logDebug('Ignoring incoming uuid: missing token', { uuid });
+                        return null;
+                    }
+                    return uuid;
+                }
+
+                const age = clock.now() - timestamp;
+                // Allow a few minutes of clock skew for links decorated in the future
+                if (age > config.stitchMaxAge * 60 * 1000 || age < -5 * 60 * 1000) {
+                    logDebug('Ignoring incoming uuid: link expired', { uuid, age });
+                    return null;
+                }
+
+                if (config.stitchSigningKey) {
+                    const expected = await signSessionToken(uuid, timestamp);
+                    if (!expected || params.get('lmv_sig') !== expected) {
+                        logDebug('Ignoring incoming uuid: invalid signature', { uuid });
+                        return null;
+                    }
+                }
+
+                return uuid;
+            } catch (error) {
+                logDebug('Failed to read incoming session', error);
+                return null;
+            }
+        }
+
+        // Remove stitching (and optionally tracking) parameters from the address bar
+        function cleanLandingURL() {
+            if (!config.cleanStitchedUrl) return;
+
+            safeExecute(() => {
+                if (!new URLSearchParams(window.location.search).has('uuid')) return;
+
+                // Filter the raw query string: other parameters keep their exact encoding
+                const params = config.cleanTrackingParams ? STITCH_PARAMS.concat(UTM_FIELDS) : STITCH_PARAMS;
+                const kept = window.location.search.slice(1).split('&')
+                    .filter(pair => pair && !params.includes(pair.split('=')[0]));
+                const search = kept.length > 0 ? `?${kept.join('&')}` : '';
+                const path = window.location.pathname + search + window.location.hash;
+
+                window.history.replaceState(window.history.state, '', path);
+                logDebug('Removed tracking parameters from the address bar', { path });
+            });
+        }
+
+        // Attribution
+        function pickCampaignFields(params) {
+            const campaign = {};
+            CAMPAIGN_FIELDS.forEach(field => {
+                if (params && params[field] && isFieldAllowed(field)) {
+                    campaign[field] = params[field];
+                }
+            });
+            return campaign;
+        }
+
+        function isSameTouch(a, b) {
+            return CAMPAIGN_FIELDS.every(field => (a[field] || null) === (b[field] || null));
+        }
+
+        function recordTouchpoint(data, utms, now, isNewSession) {
+            const campaign = pickCampaignFields(utms);
+            if (Object.keys(campaign).length === 0) return data;
+
+            // Reloading a campaign landing page within the same session is not a new touch
+            if (!isNewSession && data.last_touch && isSameTouch(data.last_touch, campaign)) {
+                return data;
+            }
+
+            const touch = { ...campaign, timestamp: now, path: window.location.pathname };
+            const firstTouchExpired = !data.first_touch || now - data.first_touch.timestamp > ATTRIBUTION_WINDOW_MS;
+            const touchpoints = (data.touchpoints || [])
+                .filter(touchpoint => now - touchpoint.timestamp <= ATTRIBUTION_WINDOW_MS)
+                .concat(touch)
+                .slice(-config.maxTouchpoints);
+
+            logDebug('Recorded campaign touch', { touch, firstTouch: firstTouchExpired });
+
+            return {
+                ...data,
+                first_touch: firstTouchExpired ? touch : data.first_touch,
+                last_touch: touch,
+                touchpoints: touchpoints
+            };
+        }
+
+        // Traffic source classification
+        const REFERRER_SOURCES = [
+            // Webmail first, their hosts are subdomains of search engines
+            { hosts: ['mail.google.com'], source: 'gmail', medium: 'email' },
+            { hosts: ['outlook.live.com', 'outlook.office.com', 'outlook.office365.com'], source: 'outlook', medium: 'email' },
+            { hosts: ['mail.yahoo.com'], source: 'yahoo', medium: 'email' },
+            { hosts: ['mail.aol.com'], source: 'aol', medium: 'email' },
+            { hosts: ['mail.proton.me', 'mail.protonmail.com'], source: 'protonmail', medium: 'email' },
+            { hosts: ['mail.zoho.com'], source: 'zoho', medium: 'email' },
+            { hosts: [/(^|\.)google\.[a-z.]+$/], source: 'google', medium: 'organic' },
+            { hosts: ['bing.com'], source: 'bing', medium: 'organic' },
+            { hosts: [/(^|\.)yahoo\.[a-z.]+$/], source: 'yahoo', medium: 'organic' },
+            { hosts: ['duckduckgo.com'], source: 'duckduckgo', medium: 'organic' },
+            { hosts: ['ecosia.org'], source: 'ecosia', medium: 'organic' },
+            { hosts: ['qwant.com'], source: 'qwant', medium: 'organic' },
+            { hosts: ['search.brave.com'], source: 'brave', medium: 'organic' },
+            { hosts: ['startpage.com'], source: 'startpage', medium: 'organic' },
+            { hosts: ['baidu.com'], source: 'baidu', medium: 'organic' },
+            { hosts: [/(^|\.)yandex\.[a-z.]+$/], source: 'yandex', medium: 'organic' },
+            { hosts: ['perplexity.ai'], source: 'perplexity', medium: 'organic' },
+            { hosts: ['chatgpt.com', 'chat.openai.com'], source: 'chatgpt', medium: 'organic' },
+            { hosts: ['facebook.com', 'fb.com', 'fb.me', 'messenger.com'], source: 'facebook', medium: 'social' },
+            { hosts: ['instagram.com'], source: 'instagram', medium: 'social' },
+            { hosts: ['threads.net'], source: 'threads', medium: 'social' },
+            { hosts: ['linkedin.com', 'lnkd.in'], source: 'linkedin', medium: 'social' },
+            { hosts: ['twitter.com', 'x.com', 't.co'], source: 'twitter', medium: 'social' },
+            { hosts: ['youtube.com', 'youtu.be'], source: 'youtube', medium: 'social' },
+            { hosts: ['pinterest.com', 'pinterest.ca', 'pin.it'], source: 'pinterest', medium: 'social' },
+            { hosts: ['reddit.com'], source: 'reddit', medium: 'social' },
+            { hosts: ['tiktok.com'], source: 'tiktok', medium: 'social' },
+            { hosts: ['snapchat.com'], source: 'snapchat', medium: 'social' },
+            { hosts: ['bsky.app'], source: 'bluesky', medium: 'social' }
+        ];
+        const CLICK_ID_SOURCES = [
+            { params: ['gclid', 'gbraid', 'wbraid'], source: 'google', medium: 'cpc' },
+            { params: ['msclkid'], source: 'bing', medium: 'cpc' }
+        ];
+
+        // The domain and its subdomains
+        function isWithinDomain(hostname, domain) {
+            const normalized = String(domain).toLowerCase().replace(/^\*?\./, '');
+            return hostname === normalized || hostname.endsWith(`.${normalized}`);
+        }
+
+        function getOwnDomains() {
+            if (Array.isArray(config.ownDomains)) return config.ownDomains;
+            return [window.location.hostname.replace(/^www\./, ''), config.targetDomain, config.paymentDomain].filter(Boolean);
+        }
+
+        function isSelfReferral(hostname) {
+            return getOwnDomains().concat(config.referralExclusions || [])
+                .some(domain => isWithinDomain(hostname, domain));
+        }
+
+        // ref values are often plain labels rather than URLs
+        function getReferrerHostname(referrer) {
+            try {
+                return new URL(referrer).hostname.toLowerCase();
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function classifyReferrer(referrer) {
+            const hostname = getReferrerHostname(referrer);
+            if (!hostname || isSelfReferral(hostname)) return null;
+
+            const known = REFERRER_SOURCES.find(({ hosts }) => hosts.some(host => (
+                host instanceof RegExp ? host.test(hostname) : isWithinDomain(hostname, host)
+            )));
+            if (known) {
+                return { utm_source: known.source, utm_medium: known.medium };
+            }
+            return { utm_source: hostname.replace(/^www\./, ''), utm_medium: 'referral' };
+        }
+
+        // Fill in utm_source / utm_medium for landings without UTMs
+        function classifyTraffic(utms, previousData) {
+            if (!config.enableTrafficClassification) return utms;
+            if (utms.utm_source || utms.utm_medium || utms.utm_campaign) return utms;
+
+            // Read from the URL: without marketing consent click IDs aren't extracted, but a paid
+            // click is still a paid click (only the source and medium are kept)
+            const landingParams = new URLSearchParams(window.location.search);
+            const clickSource = CLICK_ID_SOURCES.find(({ params }) => params.some(param => (landingParams.get(param) || '').trim()));
+            if (clickSource) {
+                return { ...utms, utm_source: clickSource.source, utm_medium: clickSource.medium };
+            }
+
+            const referrer = utms.referrer || document.referrer;
+            const classified = referrer ? classifyReferrer(referrer) : null;
+            if (classified) {
+                logDebug('Classified traffic source from the referrer', classified);
+                return { ...utms, ...classified };
+            }
+
+            // Direct visits and self-referrals don't replace an earlier source
+            if (previousData && previousData.utm_source) return utms;
+            return { ...utms, utm_source: '(direct)', utm_medium: '(none)' };
+        }
+
+        // Tracked parameters for the given attribution mode ('first', 'last' or 'both')
+        function getAttributionParams(sessionData, mode = 'last') {
+            const params = getStoredUTMs(sessionData);
+            const touch = mode === 'first' ? sessionData.first_touch : sessionData.last_touch;
+
+            // Data stored before touches were recorded only has the flat fields
+            if (touch) {
+                CAMPAIGN_FIELDS.forEach(field => delete params[field]);
+                Object.assign(params, pickCampaignFields(touch));
+            }
+
+            if (mode === 'both' && sessionData.first_touch) {
+                Object.entries(pickCampaignFields(sessionData.first_touch)).forEach(([field, value]) => {
+                    params[`first_${field}`] = value;
+                });
+            }
+
+            // Touches stored by older versions weren't scrubbed
+            Object.keys(params).forEach(field => {
+                params[field] = scrubTrackedValue(field.replace(/^first_/, ''), params[field]);
+            });
+
+            return params;
+        }
+
+        // Consent management
+        function hasMarketingConsent() {
+            return consentState.marketing === true;
+        }
+
+        function isFieldAllowed(field) {
+            return hasMarketingConsent() || !AD_ID_FIELDS.includes(field);
+        }
+
+        function normalizeConsent(categories, base) {
+            const state = { ...base };
+            CONSENT_CATEGORIES.forEach(category => {
+                if (categories && typeof categories[category] === 'boolean') {
+                    state[category] = categories[category];
+                }
+            });
+            return state;
+        }
+
+        // Guards against giveConsent/revokeConsent being used directly as event listeners
+        function isConsentCategories(value) {
+            if (Array.isArray(value)) return true;
+            return !!value && typeof value === 'object' && CONSENT_CATEGORIES.some(category => category in value);
+        }
+
+        function getStoredConsentRecord() {
+            return safeExecute(() => {
+                const raw = readStorage(config.consentStorageKey);
+                if (!raw) return null;
+                // Consent stored before categories existed covers everything
+                if (raw === 'true') {
+                    return { analytics: true, marketing: true, personalization: true };
+                }
+                const record = JSON.parse(raw);
+                return record && typeof record === 'object' ? record : null;
+            }, null);
+        }
+
+        function getStoredConsent() {
+            const record = getStoredConsentRecord();
+            if (!record) return null;
+            return normalizeConsent(record, { analytics: false, marketing: false, personalization: false });
+        }
+
+        function saveConsent() {
+            safeExecute(() => {
+                writeStorage(config.consentStorageKey, JSON.stringify({
+                    ...consentState,
+                    updated_at: clock.now(),
+                    policy_version: config.consentPolicyVersion
+                }));
+            });
+        }
+
+        function checkConsent() {
+            if (!config.requireConsent) {
+                consentState = { analytics: true, marketing: true, personalization: true };
+                consentGiven = true;
+                return true;
+            }
+        
+            // Check storage for consent, then the site defaults
+            consentState = getStoredConsent() || consentDefaults || { analytics: false, marketing: false, personalization: false };
+        
+            consentGiven = consentState.analytics;
+            logDebug('Consent check', { consentGiven, consentState, requireConsent: config.requireConsent });
+            return consentGiven;
+        }
+
+        // Remove stored ad identifiers once marketing consent is withdrawn
+        function purgeAdIdentifiers() {
+            if (!trackerData) return;
+
+            const strip = data => {
+                const cleaned = { ...data };
+                AD_ID_FIELDS.forEach(field => delete cleaned[field]);
+                return cleaned;
+            };
+
+            trackerData = strip(trackerData);
+            ['first_touch', 'last_touch'].forEach(key => {
+                if (trackerData[key]) trackerData[key] = strip(trackerData[key]);
+            });
+            if (trackerData.touchpoints) {
+                trackerData.touchpoints = trackerData.touchpoints.map(strip);
+            }
+
+            saveStoredData(trackerData);
+            safeExecute(() => {
+                document.cookie = '_fbc=; max-age=0; path=/';
+            });
+            logDebug('Ad identifiers removed after marketing consent was revoked');
+        }
+
+        function notifyConsentChange(previous) {
+            if (CONSENT_CATEGORIES.some(category => previous[category] !== consentState[category])) {
+                emitHook('onConsentChange', { ...consentState }, { ...previous });
+            }
+        }
+
+        // persist is false for site defaults, which are not a choice the user made
+        function applyConsent(state, persist = true) {
+            const previous = consentState;
+            consentState = state;
+            consentGiven = consentState.analytics;
+            if (persist) {
+                saveConsent();
+            } else {
+                consentDefaults = state;
+            }
+            logDebug('Consent updated', consentState);
+            notifyConsentChange(previous);
+
+            if (!consentState.analytics) {
+                if (previous.analytics) {
+                    clearTrackingData();
+                    // Keep the refusal on record so it isn't asked again
+                    consentState = state;
+                    if (persist) saveConsent();
+                }
+                return;
+            }
+
+            if (previous.marketing && !consentState.marketing) {
+                purgeAdIdentifiers();
+            } else if (!previous.marketing && consentState.marketing && isInitialized) {
+                // Pick up the ad identifiers of the current page now that they can be used
+                const utms = extractUTMsFromURL();
+                AD_ID_FIELDS.forEach(field => {
+                    if (utms[field]) trackerData[field] = utms[field];
+                });
+                captureMetaIdentifiers(trackerData, utms);
+                saveStoredData(trackerData);
+                decorateLinks();
+                populateUTMFields();
+            }
+
+            // Initialize tracking if it was pending
+            if (pendingInitialization && !isInitialized) {
+                logDebug('Starting delayed initialization after consent');
+                // A second consent call during the (async) initialization must not start another
+                pendingInitialization = false;
+                initializeTracker();
+            }
+        }
+
+        function giveConsent(categories) {
+            // Without categories, consent covers everything
+            const state = isConsentCategories(categories)
+                ? normalizeConsent(categories, consentState)
+                : { analytics: true, marketing: true, personalization: true };
+            logDebug('Consent given', state);
+            applyConsent(state);
+        }
+
+        function revokeConsent(categories) {
+            // Revoking only some categories keeps tracking for the others
+            if (isConsentCategories(categories)) {
+                const revoked = Array.isArray(categories)
+                    ? categories
+                    : CONSENT_CATEGORIES.filter(category => categories[category] === true);
+                const state = { ...consentState };
+                revoked.forEach(category => {
+                    if (CONSENT_CATEGORIES.includes(category)) state[category] = false;
+                });
+                if (state.analytics) {
+                    applyConsent(state);
+                    return;
+                }
+            }
+
+            const previous = consentState;
+            clearTrackingData();
+            notifyConsentChange(previous);
+        }
+
+        // Forget consent, session data and anything waiting to be sent
+        function clearTrackingData() {
+            pendingIdentity = null;
+            consentGiven = false;
+            consentState = { analytics: false, marketing: false, personalization: false };
+            safeExecute(() => {
+                removeStorage(config.consentStorageKey);
+                // Optionally clear tracking data
+                removeStorage(STORAGE_KEY);
+            });
+        
+            // Reset tracker state
+            trackerData = null;
+            isInitialized = false;
+        
+            // Drop queued events and requests, they were never consented to
+            pendingEvents.forEach(pending => pending.resolve(false));
+            pendingEvents = [];
+            drainEventBuffer().forEach(({ resolve }) => resolve(false));
+            clearTimeout(queueRetryTimeout);
+            safeExecute(() => {
+                removeStorage(QUEUE_STORAGE_KEY, queueStorageChain);
+            });
+        
+            logDebug('Consent revoked and tracking data cleared');
+        }
+
+        // Consent banner
+        const CONSENT_BANNER_TEXT = {
+            fr: {
+                title: 'Votre vie privée',
+                description: 'Nous utilisons des témoins (cookies) et des technologies similaires pour mesurer l’utilisation de notre site et l’efficacité de nos campagnes. Vous pouvez accepter, refuser ou personnaliser vos choix en tout temps.',
+                acceptAll: 'Tout accepter',
+                rejectAll: 'Tout refuser',
+                customize: 'Personnaliser',
+                save: 'Enregistrer mes choix',
+                policy: 'Politique de confidentialité',
+                analytics: 'Mesure d’audience',
+                analyticsDescription: 'Sessions, pages vues et événements pour comprendre l’utilisation du site.',
+                marketing: 'Marketing',
+                marketingDescription: 'Identifiants publicitaires (Meta, Google, Microsoft, etc.) pour mesurer nos campagnes.',
+                personalization: 'Personnalisation',
+                personalizationDescription: 'Adapter le contenu du site à vos intérêts.'
+            },
+            en: {
+                title: 'Your privacy',
+                description: 'We use cookies and similar technologies to measure how our site is used and how well our campaigns perform. You can accept, reject or customize your choices at any time.',
+                acceptAll: 'Accept all',
+                rejectAll: 'Reject all',
+                customize: 'Customize',
+                save: 'Save my choices',
+                policy: 'Privacy policy',
+                analytics: 'Analytics',
+                analyticsDescription: 'Sessions, page views and events to understand how the site is used.',
+                marketing: 'Marketing',
+                marketingDescription: 'Advertising identifiers (Meta, Google, Microsoft, etc.) to measure our campaigns.',
+                personalization: 'Personalization',
+                personalizationDescription: 'Tailor the site content to your interests.'
+            }
+        };
+
+        const CONSENT_BANNER_ID = 'lmv-consent-banner';
+        let consentBannerListenerActive = false;
+
+        function getBannerLanguage() {
+            const lang = (document.documentElement.lang || '').toLowerCase();
+            return lang.startsWith('fr') ? 'fr' : 'en';
+        }
+
+        function getBannerText(language) {
+            const overrides = (config.consentBannerText && config.consentBannerText[language]) || {};
+            return { ...CONSENT_BANNER_TEXT[language], ...overrides };
+        }
+
+        function getPolicyUrl(language) {
+            const policyUrl = config.consentPolicyUrl;
+            if (!policyUrl) return null;
+            return typeof policyUrl === 'string' ? policyUrl : (policyUrl[language] || null);
+        }
+
+        function needsConsentChoice() {
+            const record = getStoredConsentRecord();
+            return !record || record.policy_version !== config.consentPolicyVersion;
+        }
+
+        function createElement(tag, attributes = {}, children = []) {
+            const element = document.createElement(tag);
+            Object.keys(attributes).forEach(name => {
+                if (name === 'text') {
+                    element.textContent = attributes.text;
+                } else if (name === 'onClick') {
+                    element.addEventListener('click', attributes.onClick);
+                } else {
+                    element.setAttribute(name, attributes[name]);
+                }
+            });
+            children.forEach(child => child && element.appendChild(child));
+            return element;
+        }
+
+        function injectConsentBannerStyles() {
+            if (document.getElementById(`${CONSENT_BANNER_ID}-styles`)) return;
+
+            const theme = Object.assign({
+                position: 'bottom',
+                backgroundColor: '#ffffff',
+                textColor: '#1f2a1f',
+                primaryColor: '#2e7d32',
+                fontFamily: 'inherit'
+            }, config.consentBannerTheme || {});
+
+            const style = createElement('style', { id: `${CONSENT_BANNER_ID}-styles` });
+            style.textContent = `
+                #${CONSENT_BANNER_ID} {
+                    --lmv-consent-bg: ${theme.backgroundColor};
+                    --lmv-consent-text: ${theme.textColor};
+                    --lmv-consent-primary: ${theme.primaryColor};
+                    --lmv-consent-font: ${theme.fontFamily};
+                    position: fixed; left: 16px; right: 16px; ${theme.position === 'top' ? 'top' : 'bottom'}: 16px;
+                    z-index: 2147483000; max-width: 720px; margin: 0 auto; padding: 20px 24px;
+                    background: var(--lmv-consent-bg); color: var(--lmv-consent-text);
+                    font-family: var(--lmv-consent-font); font-size: 15px; line-height: 1.5;
+                    border-radius: 8px; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.2);
+                }
+                #${CONSENT_BANNER_ID} h2 { margin: 0 0 8px; font-size: 18px; }
+                #${CONSENT_BANNER_ID} p { margin: 0 0 12px; }
+                #${CONSENT_BANNER_ID} a { color: var(--lmv-consent-primary); }
+                #${CONSENT_BANNER_ID} fieldset { border: 0; margin: 0 0 12px; padding: 0; }
+                #${CONSENT_BANNER_ID} label { display: flex; gap: 8px; align-items: flex-start; margin: 8px 0; }
+                #${CONSENT_BANNER_ID} label small { display: block; opacity: 0.8; }
+                #${CONSENT_BANNER_ID} .lmv-consent-actions { display: flex; flex-wrap: wrap; gap: 8px; }
+                #${CONSENT_BANNER_ID} button {
+                    flex: 1 1 auto; min-height: 44px; padding: 8px 16px; cursor: pointer; font: inherit;
+                    border: 2px solid var(--lmv-consent-primary); border-radius: 4px;
+                    background: var(--lmv-consent-primary); color: var(--lmv-consent-bg);
+                }
+                #${CONSENT_BANNER_ID} button.lmv-consent-secondary { background: transparent; color: var(--lmv-consent-primary); }
+                #${CONSENT_BANNER_ID} button:focus-visible, #${CONSENT_BANNER_ID} input:focus-visible {
+                    outline: 3px solid var(--lmv-consent-primary); outline-offset: 2px;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        function hideConsentBanner() {
+            const banner = document.getElementById(CONSENT_BANNER_ID);
+            if (banner) banner.remove();
+        }
+
+        function renderConsentBanner(showPreferences = false) {
+            return safeExecute(() => {
+                hideConsentBanner();
+                injectConsentBannerStyles();
+
+                const language = getBannerLanguage();
+                const text = getBannerText(language);
+                const policyUrl = getPolicyUrl(language);
+
+                const chooseAndClose = categories => {
+                    giveConsent(categories);
+                    hideConsentBanner();
+                };
+
+                // Boxes reflect the current choice: nothing is pre-checked for new visitors
+                const checkboxes = {};
+                const preferences = createElement('fieldset', {
+                    id: `${CONSENT_BANNER_ID}-preferences`,
+                    ...(showPreferences ? {} : { hidden: '' })
+                }, CONSENT_CATEGORIES.map(category => {
+                    checkboxes[category] = createElement('input', {
+                        type: 'checkbox',
+                        name: category,
+                        ...(consentState[category] ? { checked: '' } : {})
+                    });
+                    return createElement('label', {}, [
+                        checkboxes[category],
+                        createElement('span', {}, [
+                            createElement('strong', { text: text[category] }),
+                            createElement('small', { text: text[`${category}Description`] })
+                        ])
+                    ]);
+                }));
+
+                const saveButton = createElement('button', {
+                    type: 'button',
+                    text: text.save,
+                    ...(showPreferences ? {} : { hidden: '' }),
+                    onClick: () => chooseAndClose(CONSENT_CATEGORIES.reduce((acc, category) => {
+                        acc[category] = checkboxes[category].checked;
+                        return acc;
+                    }, {}))
+                });
+
+                const customizeButton = createElement('button', {
+                    type: 'button',
+                    class: 'lmv-consent-secondary',
+                    'aria-expanded': String(showPreferences),
+                    'aria-controls': `${CONSENT_BANNER_ID}-preferences`,
+                    text: text.customize,
+                    onClick: () => {
+                        const expanded = preferences.hidden;
+                        preferences.hidden = !expanded;
+                        saveButton.hidden = !expanded;
+                        customizeButton.setAttribute('aria-expanded', String(expanded));
+                        if (expanded) checkboxes.analytics.focus();
+                    }
+                });
+
+                const description = createElement('p', { id: `${CONSENT_BANNER_ID}-description`, text: text.description });
+                if (policyUrl) {
+                    description.appendChild(document.createTextNode(' '));
+                    description.appendChild(createElement('a', { href: policyUrl, text: text.policy }));
+                }
+
+                const banner = createElement('div', {
+                    id: CONSENT_BANNER_ID,
+                    role: 'dialog',
+                    'aria-modal': 'false',
+                    'aria-labelledby': `${CONSENT_BANNER_ID}-title`,
+                    'aria-describedby': `${CONSENT_BANNER_ID}-description`,
+                    lang: language
+                }, [
+                    createElement('h2', { id: `${CONSENT_BANNER_ID}-title`, text: text.title }),
+                    description,
+                    preferences,
+                    createElement('div', { class: 'lmv-consent-actions' }, [
+                        createElement('button', {
+                            type: 'button',
+                            text: text.rejectAll,
+                            onClick: () => chooseAndClose({ analytics: false, marketing: false, personalization: false })
+                        }),
+                        customizeButton,
+                        saveButton,
+                        createElement('button', {
+                            type: 'button',
+                            text: text.acceptAll,
+                            onClick: () => chooseAndClose({ analytics: true, marketing: true, personalization: true })
+                        })
+                    ])
+                ]);
+
+                document.body.appendChild(banner);
+                (showPreferences ? checkboxes.analytics : banner.querySelector('button')).focus();
+
+                logDebug('Consent banner shown', { language, showPreferences });
+                return true;
+            }, false);
+        }
+
+        function showConsentPreferences() {
+            return renderConsentBanner(true);
+        }
+
+        function initializeConsentBanner() {
+            if (!config.requireConsent || !config.enableConsentBanner) return;
+
+            // "Manage preferences" links anywhere on the page reopen the banner
+            if (!consentBannerListenerActive) {
+                consentBannerListenerActive = true;
+                document.addEventListener('click', event => {
+                    const trigger = event.target.closest && event.target.closest('[data-lmv-consent-preferences]');
+                    if (!trigger) return;
+                    event.preventDefault();
+                    showConsentPreferences();
+                });
+            }
+
+            if (needsConsentChoice()) {
+                renderConsentBanner();
+            }
+        }
+
+        // CMP adapters
+        function isSameConsent(a, b) {
+            return CONSENT_CATEGORIES.every(category => a[category] === b[category]);
+        }
+
+        function applyAdapterConsent(categories, source, persist = true) {
+            const state = normalizeConsent(categories, consentState);
+            if (isSameConsent(state, consentState) && (!persist || getStoredConsent())) return;
+            logDebug(`Consent received from ${source}`, state);
+            applyConsent(state, persist);
+        }
+
+        function observeTCFConsent() {
+            if (typeof window.__tcfapi !== 'function') {
+                logDebug('TCF consent adapter: __tcfapi not found');
+                return;
+            }
+
+            window.__tcfapi('addEventListener', 2, (tcData, success) => {
+                if (!success || !tcData) return;
+                if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+
+                // GDPR does not apply: nothing to ask for
+                if (tcData.gdprApplies === false) {
+                    applyAdapterConsent({ analytics: true, marketing: true, personalization: true }, 'TCF');
+                    return;
+                }
+
+                const purposeConsents = (tcData.purpose && tcData.purpose.consents) || {};
+                const categories = {};
+                CONSENT_CATEGORIES.forEach(category => {
+                    const purposes = config.tcfPurposes[category] || [];
+                    categories[category] = purposes.every(purpose => purposeConsents[purpose] === true);
+                });
+                applyAdapterConsent(categories, 'TCF');
+            });
+
+            logDebug('TCF consent adapter initialized');
+        }
+
+        function handleConsentModeCommand(entry) {
+            // gtag() pushes its arguments object: ['consent', 'default' | 'update', { ... }]
+            if (!entry || typeof entry !== 'object' || entry[0] !== 'consent') return;
+            if (entry[1] !== 'default' && entry[1] !== 'update') return;
+
+            const settings = entry[2] || {};
+            const categories = {};
+            if (settings.analytics_storage) {
+                categories.analytics = settings.analytics_storage === 'granted';
+            }
+            if (settings.ad_storage) {
+                categories.marketing = settings.ad_storage === 'granted' && settings.ad_user_data !== 'denied';
+            }
+            if (settings.personalization_storage) {
+                categories.personalization = settings.personalization_storage === 'granted';
+            }
+
+            // Defaults apply in memory only and never override a choice the user already made
+            const isDefault = entry[1] === 'default';
+            if (isDefault && getStoredConsent()) return;
+            applyAdapterConsent(categories, `Google Consent Mode (${entry[1]})`, !isDefault);
+        }
+
+        function observeGoogleConsentMode() {
+            const dataLayer = getDataLayer();
+
+            Array.from(dataLayer).forEach(handleConsentModeCommand);
+
+            const originalPush = dataLayer.push;
+            dataLayer.push = function () {
+                const result = originalPush.apply(this, arguments);
+                Array.from(arguments).forEach(entry => safeExecute(() => handleConsentModeCommand(entry)));
+                return result;
+            };
+
+            logDebug('Google Consent Mode adapter initialized');
+        }
+
+        function observeConsentAdapter() {
+            safeExecute(() => {
+                if (config.consentAdapter === 'tcf') {
+                    observeTCFConsent();
+                } else if (config.consentAdapter === 'google') {
+                    observeGoogleConsentMode();
+                }
+            });
+        }
+
+        // Google Tag Manager dataLayer bridge
+        const DATALAYER_EVENT_TYPE = 'datalayer';
+        const DATALAYER_IGNORED_KEYS = ['event', 'eventCallback', 'eventTimeout', 'event_callback', 'event_timeout', 'send_to'];
+
+        function getDataLayer() {
+            window[config.dataLayerName] = window[config.dataLayerName] || [];
+            return window[config.dataLayerName];
+        }
+
+        function pushToDataLayer(eventName, data = {}) {
+            if (!config.enableDataLayer || !trackerData) return;
+
+            safeExecute(() => {
+                getDataLayer().push({
+                    event: eventName,
+                    lmv: {
+                        uuid: trackerData.uuid,
+                        visitor_id: trackerData.visitor_id,
+                        session_count: trackerData.session_count,
+                        ...getAttributionParams(trackerData, config.sessionAttribution),
+                        ...data
+                    }
+                });
+                logDebug(`Pushed ${eventName} to the dataLayer`, data);
+            });
+        }
+
+        // Starts a page view: new event_id, dataLayer pushes and the Pixel PageView
+        function startPageView(isNewSession, path, title) {
+            pageViewId = generateUUID();
+            if (isNewSession) {
+                pushToDataLayer('lmv_session_start');
+            }
+            pushToDataLayer('lmv_page_view', { event_id: pageViewId, page_path: scrubUrl(stripAdParams(path)), page_title: title });
+            if (config.firePixelPageView) {
+                fireMetaEvent('PageView', {}, pageViewId);
+            }
+        }
+
+        // dataLayer.push({ event, ...data }) or gtag('event', name, data) (pushed as an arguments object)
+        function parseDataLayerEvent(entry) {
+            if (!entry || typeof entry !== 'object') return null;
+
+            const isGtagEvent = entry[0] === 'event' && typeof entry[1] === 'string';
+            const name = isGtagEvent ? entry[1] : entry.event;
+            if (typeof name !== 'string') return null;
+
+            const source = isGtagEvent ? entry[2] || {} : entry;
+            const data = {};
+            Object.keys(source).forEach(key => {
+                if (DATALAYER_IGNORED_KEYS.includes(key) || key.startsWith('gtm.')) return;
+                if (typeof source[key] === 'function') return;
+                data[key] = source[key];
+            });
+            return { name, data };
+        }
+
+        function forwardDataLayerEntry(entry) {
+            const parsed = parseDataLayerEvent(entry);
+            if (!parsed || parsed.name.startsWith('lmv_')) return;
+            if (!config.forwardDataLayerEvents.includes(parsed.name)) return;
+
+            logDebug('Forwarding dataLayer event', parsed);
+            trackEvent(DATALAYER_EVENT_TYPE, parsed.name, parsed.data, false);
+        }
+
+        function observeDataLayer() {
+            if (dataLayerForwardingActive || !Array.isArray(config.forwardDataLayerEvents) || config.forwardDataLayerEvents.length === 0) return;
+            dataLayerForwardingActive = true;
+
+            safeExecute(() => {
+                const dataLayer = getDataLayer();
+                Array.from(dataLayer).forEach(entry => safeExecute(() => forwardDataLayerEntry(entry)));
+
+                const originalPush = dataLayer.push;
+                dataLayer.push = function () {
+                    const result = originalPush.apply(this, arguments);
+                    Array.from(arguments).forEach(entry => safeExecute(() => forwardDataLayerEntry(entry)));
+                    return result;
+                };
+
+                logDebug('dataLayer forwarding initialized', config.forwardDataLayerEvents);
+            });
+        }
+
+        // Debug logging function
+        function logDebug(message, data = null) {
+            if (config.debugMode || window.lmvDebugMode || 
+                window.location.hostname === 'localhost' || 
+                window.location.hostname.includes('dev')) {
+                console.log(`🔍 LMV Tracker: ${message}`, data || '');
+            }
+        }
+
+        // Plugins and lifecycle hooks
+        const HOOK_NAMES = ['onSessionStart', 'onSessionContinue', 'beforeSend', 'afterSend', 'onLinkDecorated', 'onConsentChange'];
+        const hooks = HOOK_NAMES.reduce((acc, name) => ({ ...acc, [name]: [] }), {});
+        const plugins = [];
+
+        function on(name, handler) {
+            if (!HOOK_NAMES.includes(name) || typeof handler !== 'function') {
+                console.warn('LMV Tracker: Unknown hook or invalid handler', name);
+                return false;
+            }
+            hooks[name].push(handler);
+            return true;
+        }
+
+        function off(name, handler) {
+            if (!HOOK_NAMES.includes(name)) return false;
+            const count = hooks[name].length;
+            hooks[name] = hooks[name].filter(registered => registered !== handler);
+            return hooks[name].length < count;
+        }
+
+        function emitHook(name, ...args) {
+            hooks[name].forEach(handler => {
+                try {
+                    handler(...args);
+                } catch (error) {
+                    logDebug(`Hook ${name} failed`, error);
+                }
+            });
+        }
+
+        // Handlers run in order, each one gets the payload returned by the previous one
+        function applyBeforeSend(payload, context) {
+            let result = payload;
+            for (const handler of hooks.beforeSend) {
+                try {
+                    const returned = handler(result, context);
+                    if (returned === false) {
+                        logDebug(`${context.label} cancelled by a beforeSend hook`);
+                        return null;
+                    }
+                    if (returned && typeof returned === 'object') {
+                        result = returned;
+                    }
+                } catch (error) {
+                    logDebug('Hook beforeSend failed', error);
+                }
+            }
+            return result;
+        }
+
+        function emitAfterSend(payload, context, success) {
+            emitHook('afterSend', payload, { ...context, success });
+            return success;
+        }
+
+        function emitSessionHook(isNewSession, adopted = false) {
+            if (isNewSession) {
+                emitHook('onSessionStart', { ...trackerData }, { adopted });
+            } else {
+                emitHook('onSessionContinue', { ...trackerData });
+            }
+        }
+
+        function use(plugin) {
+            if (!plugin || typeof plugin !== 'object') {
+                console.warn('LMV Tracker: A plugin must be an object', plugin);
+                return false;
+            }
+            if (plugins.includes(plugin)) return false;
+
+            plugins.push(plugin);
+            HOOK_NAMES.forEach(name => {
+                if (typeof plugin[name] === 'function') {
+                    on(name, plugin[name].bind(plugin));
+                }
+            });
+            if (typeof plugin.setup === 'function') {
+                safeExecute(() => plugin.setup(api));
+            }
+
+            logDebug('Plugin registered', plugin.name || '(unnamed)');
+            return true;
+        }
+
+        // Outbound request queue
+        function getQueue() {
+            return safeExecute(() => {
+                const raw = readStorage(QUEUE_STORAGE_KEY, queueStorageChain);
+                const queue = raw ? JSON.parse(raw) : [];
+                return Array.isArray(queue) ? queue : [];
+            }, []);
+        }
+
+        function saveQueue(queue) {
+            safeExecute(() => {
+                if (queue.length > 0) {
+                    writeStorage(QUEUE_STORAGE_KEY, JSON.stringify(queue), queueStorageChain);
+                } else {
+                    removeStorage(QUEUE_STORAGE_KEY, queueStorageChain);
+                }
+            });
+        }
+
+        function createQueueItem(url, payload, label, attempts = 0) {
+            return {
+                id: generateUUID(),
+                url: url,
+                payload: payload,
+                label: label,
+                attempts: attempts,
+                next_attempt_at: attempts > 0 ? clock.now() + getRetryDelay(attempts) : 0,
+                created_at: clock.now()
+            };
+        }
+
+        function enqueueRequest(url, payload, label, attempts = 0) {
+            if (!config.enableOfflineQueue) return;
+
+            const queue = getQueue();
+            queue.push(createQueueItem(url, payload, label, attempts));
+
+            // Drop the oldest requests when the queue is full
+            while (queue.length > config.maxQueueSize) {
+                const dropped = queue.shift();
+                logDebug('Offline queue full, dropping request', { label: dropped.label });
+            }
+
+            saveQueue(queue);
+            logDebug(`Queued ${label} for retry`, { queueLength: queue.length });
+        }
+
+        function isRetryableStatus(status) {
+            return status === 408 || status === 429 || status >= 500;
+        }
+
+        function getRetryDelay(attempts) {
+            const delay = Math.min(config.retryMaxDelay, config.retryBaseDelay * Math.pow(2, attempts - 1));
+            // Add up to 20% jitter so tabs don't retry in lockstep
+            return Math.round(delay * (1 + Math.random() * 0.2));
+        }
+
+        // Returns the retry delay, or null when the item was dropped after too many attempts
+        function recordFailedAttempt(queue, index) {
+            const item = queue[index];
+            const attempts = (item.attempts || 0) + 1;
+            if (attempts >= config.maxRetryAttempts) {
+                queue.splice(index, 1);
+                logDebug(`Dropping ${item.label} after ${attempts} attempts`);
+                return null;
+            }
+            const delay = getRetryDelay(attempts);
+            queue[index] = { ...item, attempts, next_attempt_at: clock.now() + delay };
+            logDebug(`Retry of ${item.label} failed, next attempt in ${delay}ms`, { attempts });
+            return delay;
+        }
+
+        function scheduleQueueRetry(delay) {
+            clearTimeout(queueRetryTimeout);
+            queueRetryTimeout = setTimeout(() => {
+                processQueue();
+            }, Math.max(0, delay));
+        }
+
+        function getByteLength(text) {
+            return window.TextEncoder ? new window.TextEncoder().encode(text).length : text.length * 3;
+        }
+
+        // keepalive lets requests survive navigations, but only for bodies browsers accept
+        function postJSON(url, payload) {
+            const body = JSON.stringify(payload);
+            return fetchImpl(url, {
+                method: 'POST',
+                headers: REQUEST_HEADERS,
+                body: body,
+                keepalive: getByteLength(body) <= KEEPALIVE_MAX_BYTES
+            });
+        }
+
+        async function processQueue() {
+            if (!config.enableOfflineQueue || queueProcessing || !consentGiven) return;
+            queueProcessing = true;
+
+            try {
+                let queue = getQueue();
+
+                while (queue.length > 0) {
+                    const item = queue[0];
+                    const now = clock.now();
+
+                    // Sent by flushQueue, its response decides what happens next
+                    if (flushingRequestIds.has(item.id)) break;
+
+                    if (item.next_attempt_at > now) {
+                        scheduleQueueRetry(item.next_attempt_at - now);
+                        break;
+                    }
+
+                    let outcome;
+                    inFlightRequestId = item.id;
+                    try {
+                        const response = await postJSON(item.url, item.payload);
+                        if (response.ok) {
+                            outcome = 'sent';
+                        } else if (isRetryableStatus(response.status)) {
+                            outcome = 'retry';
+                        } else if (Array.isArray(item.payload) && BATCH_UNSUPPORTED_STATUSES.includes(response.status)) {
+                            outcome = 'split';
+                        } else {
+                            outcome = 'drop';
+                        }
+                    } catch (error) {
+                        outcome = 'retry';
+                    } finally {
+                        inFlightRequestId = null;
+                    }
+
+                    // Re-read: other calls (or a pagehide flush) may have changed the queue meanwhile
+                    queue = getQueue();
+                    const index = queue.findIndex(queued => queued.id === item.id);
+                    if (index === -1) continue;
+
+                    if (outcome === 'retry') {
+                        const delay = recordFailedAttempt(queue, index);
+                        saveQueue(queue);
+                        if (delay === null) continue;
+                        scheduleQueueRetry(delay);
+                        break;
+                    }
+
+                    if (outcome === 'split') {
+                        // The backend has no batch endpoint: replace the batch with one request per event
+                        batchUnsupported = true;
+                        const singles = item.payload.map(event => createQueueItem(getEventUrl(event.uuid), event, getEventLabel(event)));
+                        queue.splice(index, 1, ...singles);
+                        saveQueue(queue);
+                        logDebug(`Batch endpoint unsupported, split ${item.label} into ${singles.length} requests`);
+                        continue;
+                    }
+
+                    queue.splice(index, 1);
+                    saveQueue(queue);
+                    logDebug(outcome === 'sent' ? `Queued ${item.label} delivered` : `Queued ${item.label} rejected, dropping`);
+                }
+            } finally {
+                queueProcessing = false;
+            }
+        }
+
+        // Response to a keepalive flush, when the page is still there to get it
+        function settleFlushedRequest(id, sent, retryable) {
+            flushingRequestIds.delete(id);
+            const queue = getQueue();
+            const index = queue.findIndex(queued => queued.id === id);
+            if (index === -1) return;
+
+            if (sent) {
+                queue.splice(index, 1);
+            } else if (retryable) {
+                recordFailedAttempt(queue, index);
+            }
+            // Other failures stay in place for processQueue to handle
+            saveQueue(queue);
+            processQueue();
+        }
+
+        // Send whatever is left in the queue while the page is going away. Items sent with
+        // keepalive stay queued until their response arrives: if the page is gone by then,
+        // the next page load sends them again rather than losing them
+        function flushQueue() {
+            if (!config.enableOfflineQueue || !consentGiven) return;
+
+            const queue = getQueue();
+            if (queue.length === 0) return;
+
+            const supportsKeepalive = typeof window.Request === 'function' &&
+                attempt(() => 'keepalive' in new window.Request(''), false);
+            const remaining = [];
+
+            let flushed = 0;
+
+            queue.forEach(item => {
+                // Already being sent with keepalive, sending it again would duplicate it
+                if (item.id === inFlightRequestId || flushingRequestIds.has(item.id)) {
+                    remaining.push(item);
+                    return;
+                }
+
+                const sent = safeExecute(() => {
+                    if (supportsKeepalive) {
+                        flushingRequestIds.add(item.id);
+                        postJSON(item.url, item.payload)
+                            .then(response => settleFlushedRequest(item.id, response.ok, isRetryableStatus(response.status)))
+                            .catch(() => settleFlushedRequest(item.id, false, true));
+                        remaining.push(item);
+                        return true;
+                    }
+                    if (navigator.sendBeacon) {
+                        // The browser delivers beacons after the page is gone
+                        const body = new window.Blob([JSON.stringify(item.payload)], { type: 'application/json' });
+                        return navigator.sendBeacon(item.url, body);
+                    }
+                    return false;
+                }, false);
+
+                if (sent) {
+                    flushed++;
+                } else {
+                    remaining.push(item);
+                }
+            });
+
+            saveQueue(remaining);
+            logDebug(`Flushed ${flushed} queued requests on page hide`);
+        }
+
+        function handlePageHide() {
+            flushEventBuffer();
+            flushQueue();
+        }
+
+        function observePageLifecycle() {
+            if (lifecycleListenersActive) return;
+            lifecycleListenersActive = true;
+
+            window.addEventListener('pagehide', handlePageHide);
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    handlePageHide();
+                }
+            });
+            window.addEventListener('online', () => {
+                // Connectivity is back, no need to wait out the backoff
+                saveQueue(getQueue().map(item => ({ ...item, next_attempt_at: 0 })));
+                clearTimeout(queueRetryTimeout);
+                processQueue();
+            });
+        }
+
+        // API communication
+        // options.retryAs lists the [url, payload, label] requests to queue instead of this one
+        async function deliver(url, payload, label, options = {}) {
+            const enqueue = (attempts = 0) => {
+                (options.retryAs || [[url, payload, label]]).forEach(([itemUrl, itemPayload, itemLabel]) => {
+                    enqueueRequest(itemUrl, itemPayload, itemLabel, attempts);
+                });
+            };
+
+            // Keep requests in order: while older ones are queued, new ones wait behind them
+            if (config.enableOfflineQueue && getQueue().length > 0) {
+                enqueue();
+                processQueue();
+                return false;
+            }
+
+            try {
+                const response = await postJSON(url, payload);
+
+                if (response.ok) {
+                    const data = await response.json().catch(() => null);
+                    logDebug(`${label} succeeded`, data);
+                    // Accepted, but not everything in it was handled
+                    if (options.isAcknowledged && !options.isAcknowledged(data)) {
+                        return options.onUnacknowledged();
+                    }
+                    return true;
+                } else {
+                    logDebug(`${label} failed`, { 
+                        status: response.status,
+                        payload: payload
+                    });
+                    // Let the caller fall back to another request shape
+                    if (options.onUnsupported && options.unsupportedStatuses.includes(response.status)) {
+                        return options.onUnsupported();
+                    }
+                    if (isRetryableStatus(response.status)) {
+                        enqueue(1);
+                        processQueue();
+                    }
+                    return false;
+                }
+            } catch (error) {
+                logDebug(`${label} API error`, error);
+                enqueue(1);
+                processQueue();
+                return false;
+            }
+        }
+
+        function buildSessionPayload(sessionData) {
+            // Get fbp cookie value
+            const fbp = getFbpCookie();
+        
+            // Prepare UTM parameters to send to API
+            const utmParams = getAttributionParams(sessionData, config.sessionAttribution);
+        
+            // Add fbp if available
+            if (fbp) {
+                utmParams.fbp = fbp;
+            }
+
+            // Add fbc if available (stored value is the one built from the landing fbclid)
+            const fbc = getFbc(sessionData);
+            if (fbc) {
+                utmParams.fbc = fbc;
+            }
+        
+            logDebug('Session API payload', { uuid: sessionData.uuid, utmParams });
+
+            return {
+                uuid: sessionData.uuid,
+                visitor_id: sessionData.visitor_id,
+                session_count: sessionData.session_count,
+                first_seen: sessionData.first_seen,
+                ...getIdentityParams(sessionData),
+                platform: 'web',
+                ...utmParams
+            };
+        }
+
+        async function createOrUpdateSession(sessionData) {
+            if (!config.enablePageViewTracking) return true;
+
+            const context = { type: 'session', label: 'Session create/update' };
+            const payload = applyBeforeSend(buildSessionPayload(sessionData), context);
+            if (!payload) return false;
+
+            return emitAfterSend(payload, context, await deliver(`${config.apiBaseUrl}/sessions`, payload, context.label));
+        }
+
+        // Session upsert and first page view in a single round-trip
+        async function createSessionWithPageView(sessionData, path, title, utmParams) {
+            if (!config.enablePageViewTracking) return true;
+
+            if (!config.combineSessionRequests || combinedRequestsUnsupported) {
+                await createOrUpdateSession(sessionData);
+                return logPageViewEvent(sessionData, path, title, utmParams);
+            }
+
+            const sessionContext = { type: 'session', label: 'Session create/update' };
+            const sessionPayload = applyBeforeSend(buildSessionPayload(sessionData), sessionContext);
+            if (!sessionPayload) {
+                return logPageViewEvent(sessionData, path, title, utmParams);
+            }
+
+            const pageView = buildPageViewPayload(sessionData, path, title, utmParams);
+            const eventContext = { type: 'event', label: getEventLabel(pageView) };
+            const eventPayload = applyBeforeSend(pageView, eventContext);
+
+            const payload = {
+                ...sessionPayload,
+                ...(eventPayload && { events: [eventPayload] })
+            };
+
+            const success = await deliver(`${config.apiBaseUrl}/sessions`, payload, 'Session create/update with page view', {
+                unsupportedStatuses: COMBINED_UNSUPPORTED_STATUSES,
+                onUnsupported: async () => {
+                    logDebug('Combined session request unsupported, falling back to separate requests');
+                    combinedRequestsUnsupported = true;
+                    // Payloads already went through beforeSend
+                    await deliver(`${config.apiBaseUrl}/sessions`, sessionPayload, sessionContext.label);
+                    return eventPayload ? deliverOrBufferEvent(eventPayload, true) : true;
+                },
+                // A backend that ignores the events array still answers 2xx
+                isAcknowledged: data => !eventPayload || !!(data && data.events_accepted),
+                onUnacknowledged: () => {
+                    logDebug('Page view not acknowledged by the combined session request, sending it separately');
+                    combinedRequestsUnsupported = true;
+                    return deliverOrBufferEvent(eventPayload, true);
+                },
+                // Retried separately, the queue can't check the acknowledgement
+                retryAs: [
+                    [`${config.apiBaseUrl}/sessions`, sessionPayload, sessionContext.label],
+                    ...(eventPayload ? [[getEventUrl(eventPayload.uuid), eventPayload, eventContext.label]] : [])
+                ]
+            });
+
+            emitAfterSend(sessionPayload, sessionContext, success);
+            if (eventPayload) emitAfterSend(eventPayload, eventContext, success);
+            return success;
+        }
+
+        // Collect stored UTM parameters for event enrichment
+        function getStoredUTMs(sessionData) {
+            const utmParams = {};
+            UTM_FIELDS.forEach(field => {
+                if (sessionData[field] && isFieldAllowed(field)) {
+                    // Values stored by older versions weren't scrubbed
+                    utmParams[field] = scrubTrackedValue(field, sessionData[field]);
+                }
+            });
+            return utmParams;
+        }
+
+        function buildEventPayload(sessionData, eventType, eventName, eventData, utmParams, referrer = null, eventId = null) {
+            // Get fbp cookie value and fbc click identifier for this event
+            const fbp = getFbpCookie();
+            const fbc = getFbc(sessionData);
+            const externalId = hasMarketingConsent() ? sessionData.visitor_id : null;
+        
+            return {
+                uuid: sessionData.uuid,
+                visitor_id: sessionData.visitor_id,
+                event_id: eventId || generateUUID(),
+                event_type: eventType,
+                event_name: eventName,
+                platform: 'web',
+                event_data: scrubEventData(eventData),
+                // UTM parameters as direct properties (not nested in event_data)
+                ...utmParams,
+                // Add fbp and fbc if available
+                ...(fbp && { fbp }),
+                ...(fbc && { fbc }),
+                ...(externalId && { external_id: externalId }),
+                ...getIdentityParams(sessionData),
+                user_agent: navigator.userAgent,
+                // Handle referrer: in-app referrer first, then ref parameter, then document.referrer
+                referrer: scrubUrl(referrer || sessionData.referrer || document.referrer || null)
+            };
+        }
+
+        // Remove ad identifiers from a path when they cannot be used
+        function stripAdParams(path) {
+            if (hasMarketingConsent()) return path;
+
+            return safeExecute(() => {
+                const url = new URL(path, window.location.origin);
+                AD_ID_FIELDS.forEach(field => url.searchParams.delete(field));
+                return url.pathname + url.search + url.hash;
+            }, path);
+        }
+
+        // Paths kept in tracker data follow the same rules as the ones sent
+        function getStoredPath(path) {
+            return scrubUrl(stripAdParams(path));
+        }
+
+        function buildPageViewPayload(sessionData, path, title, utmParams, referrer = null) {
+            return buildEventPayload(sessionData, 'view', 'page', {
+                path: stripAdParams(path),
+                title: title || document.title,
+            }, utmParams, referrer, pageViewId);
+        }
+
+        function getEventUrl(uuid) {
+            return `${config.apiBaseUrl}/sessions/${uuid}/events`;
+        }
+
+        function getEventLabel(payload) {
+            return `Event ${payload.event_type}/${payload.event_name}`;
+        }
+
+        function deliverEvent(payload) {
+            return deliver(getEventUrl(payload.uuid), payload, getEventLabel(payload));
+        }
+
+        async function sendEvent(payload, immediate = false) {
+            const context = { type: 'event', label: getEventLabel(payload) };
+            const finalPayload = applyBeforeSend(payload, context);
+            if (!finalPayload) return false;
+
+            return emitAfterSend(finalPayload, context, await deliverOrBufferEvent(finalPayload, immediate));
+        }
+
+        function deliverOrBufferEvent(payload, immediate = false) {
+            if (!config.enableBatching || batchUnsupported) {
+                return deliverEvent(payload);
+            }
+
+            // Batches stay small enough for keepalive
+            const bytes = getByteLength(JSON.stringify(payload));
+            if (eventBuffer.length > 0 && eventBufferBytes + bytes > KEEPALIVE_MAX_BYTES) {
+                sendBatch();
+            }
+
+            return new Promise(resolve => {
+                eventBuffer.push({ payload, resolve });
+                eventBufferBytes += bytes;
+
+                if (immediate || eventBuffer.length >= config.batchMaxSize) {
+                    sendBatch();
+                } else if (!batchTimeout) {
+                    batchTimeout = setTimeout(sendBatch, config.batchInterval);
+                }
+            });
+        }
+
+        // Batched event delivery
+        function drainEventBuffer() {
+            clearTimeout(batchTimeout);
+            batchTimeout = null;
+            const buffered = eventBuffer;
+            eventBuffer = [];
+            eventBufferBytes = 0;
+            return buffered;
+        }
+
+        async function sendBatch() {
+            const buffered = drainEventBuffer();
+            if (buffered.length === 0) return;
+            // Consent was withdrawn while the events waited
+            if (!consentGiven) {
+                buffered.forEach(({ resolve }) => resolve(false));
+                return false;
+            }
+
+            const resolveAll = result => buffered.forEach(({ resolve }) => resolve(result));
+            const sendSingles = () => Promise.all(buffered.map(({ payload, resolve }) => deliverEvent(payload).then(result => {
+                resolve(result);
+                return result;
+            }))).then(results => results.every(Boolean));
+
+            // A batch of one is just a regular event
+            if (buffered.length === 1 || batchUnsupported) {
+                return sendSingles();
+            }
+
+            const result = await deliver(`${config.apiBaseUrl}${config.batchPath}`, buffered.map(({ payload }) => payload), `Batch of ${buffered.length} events`, {
+                unsupportedStatuses: BATCH_UNSUPPORTED_STATUSES,
+                onUnsupported: () => {
+                    logDebug('Batch endpoint unsupported, falling back to single events');
+                    batchUnsupported = true;
+                    return sendSingles();
+                }
+            });
+            resolveAll(result);
+            return result;
+        }
+
+        // Hand buffered events to the queue (or keepalive requests) before the page goes away
+        function flushEventBuffer() {
+            const buffered = drainEventBuffer();
+            if (buffered.length === 0) return;
+            if (!consentGiven) {
+                buffered.forEach(({ resolve }) => resolve(false));
+                return;
+            }
+
+            const payloads = buffered.map(({ payload }) => payload);
+            const useBatch = payloads.length > 1 && !batchUnsupported;
+            const requests = useBatch
+                ? [{ url: `${config.apiBaseUrl}${config.batchPath}`, payload: payloads, label: `Batch of ${payloads.length} events` }]
+                : payloads.map(payload => ({ url: getEventUrl(payload.uuid), payload, label: getEventLabel(payload) }));
+
+            requests.forEach(({ url, payload, label }) => {
+                if (config.enableOfflineQueue) {
+                    enqueueRequest(url, payload, label);
+                } else {
+                    safeExecute(() => postJSON(url, payload).catch(() => null));
+                }
+            });
+            buffered.forEach(({ resolve }) => resolve(false));
+        }
+
+        async function logPageViewEvent(sessionData, path, title, utmParams, referrer = null) {
+            if (!config.enablePageViewTracking) return true;
+
+            // Page views go out right away, carrying any buffered events with them
+            return sendEvent(buildPageViewPayload(sessionData, path, title, utmParams, referrer), true);
+        }
+
+        // Custom event tracking
+        function validateEvent(eventType, eventName, data) {
+            if (typeof eventType !== 'string' || !EVENT_NAME_PATTERN.test(eventType)) {
+                return `Invalid event type: ${eventType}`;
+            }
+            if (typeof eventName !== 'string' || !EVENT_NAME_PATTERN.test(eventName)) {
+                return `Invalid event name: ${eventName}`;
+            }
+            if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+                return 'Event data must be a plain object';
+            }
+            let size;
+            try {
+                size = new window.Blob([JSON.stringify(data || {})]).size;
+            } catch (error) {
+                return 'Event data is not serializable';
+            }
+            if (size > config.maxEventDataSize) {
+                return `Event data exceeds ${config.maxEventDataSize} bytes (${size})`;
+            }
+            return null;
+        }
+
+        function track(eventType, eventName, data = {}) {
+            return trackEvent(eventType, eventName, data, false);
+        }
+
+        // immediate skips the batch buffer, for events right before a navigation
+        function trackEvent(eventType, eventName, data, immediate, eventId = null) {
+            const validationError = validateEvent(eventType, eventName, data);
+            if (validationError) {
+                console.warn('LMV Tracker: event rejected -', validationError);
+                return Promise.resolve(false);
+            }
+
+            const eventData = { ...(data || {}) };
+
+            // Queue until initialization (and consent) is complete
+            if (!isInitialized || !consentGiven) {
+                if (pendingEvents.length >= config.maxPendingEvents) {
+                    logDebug('Pending event queue full, dropping event', { eventType, eventName });
+                    return Promise.resolve(false);
+                }
+                logDebug('Tracker not ready, queueing event', { eventType, eventName });
+                return new Promise(resolve => {
+                    pendingEvents.push({ eventType, eventName, eventData, eventId, resolve });
+                });
+            }
+
+            return sendTrackedEvent(eventType, eventName, eventData, immediate, eventId);
+        }
+
+        function sendTrackedEvent(eventType, eventName, eventData, immediate = false, eventId = null) {
+            const payload = buildEventPayload(trackerData, eventType, eventName, eventData, getStoredUTMs(trackerData), null, eventId);
+            // Forwarded dataLayer events are already in the dataLayer
+            if (eventType !== DATALAYER_EVENT_TYPE) {
+                pushToDataLayer('lmv_event', {
+                    event_id: payload.event_id,
+                    event_type: eventType,
+                    event_name: eventName,
+                    event_data: scrubEventData(eventData)
+                });
+            }
+            return sendEvent(payload, immediate);
+        }
+
+        function flushPendingEvents() {
+            if (pendingEvents.length === 0) return;
+
+            const events = pendingEvents;
+            pendingEvents = [];
+            logDebug(`Flushing ${events.length} queued events`);
+
+            events.forEach(({ eventType, eventName, eventData, eventId, resolve }) => {
+                sendTrackedEvent(eventType, eventName, eventData, false, eventId).then(resolve);
+            });
+        }
+
+        // Conversions shared with the Meta Pixel and gtag under one event_id
+        const CONVERSION_EVENTS = {
+            lead: { meta: 'Lead', google: 'generate_lead' },
+            purchase: { meta: 'Purchase', google: 'purchase' },
+            sign_up: { meta: 'CompleteRegistration', google: 'sign_up' },
+            start_trial: { meta: 'StartTrial', google: 'start_trial' },
+            begin_checkout: { meta: 'InitiateCheckout', google: 'begin_checkout' },
+            add_to_cart: { meta: 'AddToCart', google: 'add_to_cart' },
+            add_payment_info: { meta: 'AddPaymentInfo', google: 'add_payment_info' },
+            contact: { meta: 'Contact', google: 'contact' },
+            subscribe: { meta: 'Subscribe', google: 'subscribe' },
+            schedule: { meta: 'Schedule', google: 'schedule' }
+        };
+        const META_STANDARD_EVENTS = Object.values(CONVERSION_EVENTS).map(names => names.meta).concat('PageView', 'ViewContent', 'Search', 'AddToWishlist', 'CustomizeProduct', 'Donate', 'FindLocation', 'SubmitApplication');
+
+        function fireMetaEvent(metaName, data, eventId) {
+            if (!hasMarketingConsent() || typeof window.fbq !== 'function') return false;
+
+            const method = META_STANDARD_EVENTS.includes(metaName) ? 'track' : 'trackCustom';
+            safeExecute(() => window.fbq(method, metaName, data, { eventID: eventId }));
+            logDebug(`Fired Meta Pixel ${metaName}`, { eventID: eventId });
+            return true;
+        }
+
+        function fireGoogleEvent(googleName, data, eventId) {
+            if (!hasMarketingConsent() || typeof window.gtag !== 'function') return false;
+
+            safeExecute(() => window.gtag('event', googleName, { ...data, event_id: eventId }));
+            logDebug(`Fired gtag ${googleName}`, { event_id: eventId });
+            return true;
+        }
+
+        function trackConversion(name, data = {}, options = {}) {
+            const validationError = validateEvent('conversion', name, data);
+            if (validationError) {
+                console.warn('LMV Tracker: conversion rejected -', validationError);
+                return Promise.resolve(false);
+            }
+
+            const eventId = options.eventId || generateUUID();
+            const names = CONVERSION_EVENTS[name] || { meta: name, google: name };
+            const metaName = options.meta !== undefined ? options.meta : names.meta;
+            const googleName = options.google !== undefined ? options.google : names.google;
+
+            // The browser calls go out now, the server event follows once the tracker is ready
+            // (ad platforms get the same scrubbed data as the server)
+            const platformData = scrubEventData(data);
+            if (metaName) fireMetaEvent(metaName, platformData, eventId);
+            if (googleName) fireGoogleEvent(googleName, platformData, eventId);
+
+            return trackEvent('conversion', name, data, false, eventId);
+        }
+
+        // User identification
+        const IDENTITY_FIELDS = ['email_sha256', 'phone_sha256', 'user_id'];
+
+        function normalizeEmail(email) {
+            return String(email).trim().toLowerCase();
+        }
+
+        // Digits with the country code, as Meta and Google expect before hashing
+        function normalizePhone(phone) {
+            const digits = String(phone).replace(/\D/g, '').replace(/^0+/, '');
+            return digits.length === 10 && config.defaultPhoneCountryCode
+                ? config.defaultPhoneCountryCode + digits
+                : digits;
+        }
+
+        async function sha256(value) {
+            const digest = await window.crypto.subtle.digest('SHA-256', new window.TextEncoder().encode(value));
+            return Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        }
+
+        async function hashIdentity(user) {
+            const identity = {};
+
+            const email = user.email ? normalizeEmail(user.email) : '';
+            if (email.includes('@')) {
+                identity.email_sha256 = await sha256(email);
+            }
+
+            const phone = user.phone ? normalizePhone(user.phone) : '';
+            if (phone.length >= 7) {
+                identity.phone_sha256 = await sha256(phone);
+            }
+
+            if (user.userId !== undefined && user.userId !== null && user.userId !== '') {
+                identity.user_id = String(user.userId);
+            }
+
+            return identity;
+        }
+
+        function getIdentityParams(sessionData) {
+            const params = {};
+            IDENTITY_FIELDS.forEach(field => {
+                if (sessionData.identity && sessionData.identity[field]) {
+                    params[field] = sessionData.identity[field];
+                }
+            });
+            return params;
+        }
+
+        function withIdentity(sessionData, identity) {
+            return {
+                ...sessionData,
+                identity: { ...sessionData.identity, ...identity, identified_at: clock.now() }
+            };
+        }
+
+        async function identify(user = {}) {
+            let identity;
+            try {
+                identity = await hashIdentity(user || {});
+            } catch (error) {
+                // Hashing needs SubtleCrypto, only available on HTTPS pages
+                logDebug('Identity hashing failed, email and phone dropped', error);
+                identity = await hashIdentity({ userId: user && user.userId });
+            }
+
+            if (Object.keys(identity).length === 0) {
+                console.warn('LMV Tracker: identify() needs a valid email, phone or userId');
+                return false;
+            }
+
+            if (!isInitialized || !trackerData) {
+                pendingIdentity = { ...pendingIdentity, ...identity };
+                logDebug('Tracker not ready, identity kept until initialization');
+                return true;
+            }
+
+            trackerData = withIdentity(trackerData, identity);
+            saveStoredData(trackerData);
+            logDebug('User identified', trackerData.identity);
+
+            // Link the session to the customer now rather than on the next session request
+            createOrUpdateSession(trackerData);
+            return true;
+        }
+
+        // Forget the identified user and start over as a new visitor and session (e.g. on logout)
+        function reset() {
+            pendingIdentity = null;
+            removeStorage(STORAGE_KEY);
+            trackerData = null;
+            isInitialized = false;
+            logDebug('Tracker reset');
+            return initializeTracker();
+        }
+
+        // Link decoration
+        const DECORATABLE_SELECTOR = 'a[href], area[href], form';
+
+        function getDecorationRules() {
+            if (Array.isArray(config.decorationRules)) return config.decorationRules;
+
+            return [
+                { hosts: [config.targetDomain], params: { uuid: 'uuid', stitchToken: true, attribution: true, fbp: 'fbp' } },
+                { hosts: [config.paymentDomain], params: { uuid: 'client_reference_id' } }
+            ];
+        }
+
+        function matchesHostPattern(hostname, pattern) {
+            if (!pattern) return false;
+            const normalized = pattern.toLowerCase();
+            if (normalized.startsWith('*.')) {
+                return hostname.endsWith(normalized.slice(1));
+            }
+            return hostname === normalized;
+        }
+
+        function findDecorationRule(url) {
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+            const hostname = url.hostname.toLowerCase();
+            return getDecorationRules().find(rule => {
+                const hosts = Array.isArray(rule.hosts) ? rule.hosts : [rule.hosts];
+                return hosts.some(pattern => matchesHostPattern(hostname, pattern));
+            }) || null;
+        }
+
+        // Parameters a rule adds, as [name, value] pairs in rule order
+        function getDecorationParams(rule) {
+            const attribution = getAttributionParams(trackerData, config.linkAttribution);
+            const values = {
+                ...attribution,
+                uuid: trackerData.uuid,
+                fbp: getFbpCookie() || attribution.fbp,
+                fbc: getFbc(trackerData)
+            };
+            const params = [];
+
+            Object.keys(rule.params || {}).forEach(source => {
+                const name = rule.params[source];
+                if (!name) return;
+
+                if (source === 'attribution') {
+                    Object.keys(attribution).forEach(field => {
+                        params.push([field === 'referrer' ? 'ref' : field, attribution[field]]);
+                    });
+                } else if (source === 'stitchToken') {
+                    // Only meaningful next to the uuid, handled in applyDecorationParams
+                    params.push([source, null]);
+                } else {
+                    const defaultName = source === 'referrer' ? 'ref' : source;
+                    params.push([name === true ? defaultName : name, values[source]]);
+                }
+            });
+
+            return params;
+        }
+
+        const decoratedParams = new WeakMap(); // Parameters the tracker wrote on each link or form
+
+        // Add rule parameters to a target ({ get, set, remove }) without overwriting the page's own.
+        // Parameters the tracker wrote earlier (owned) are updated, or removed once they no longer
+        // apply, so links follow session and campaign changes. Returns what it wrote and whether
+        // anything changed
+        function applyDecorationParams(rule, target, owned = {}) {
+            const uuidName = rule.params && rule.params.uuid === true ? 'uuid' : (rule.params && rule.params.uuid);
+            const isOwned = name => owned[name] !== undefined && target.get(name) === owned[name];
+            const written = {};
+            let changed = false;
+
+            const write = (name, value) => {
+                const current = target.get(name);
+                if (current !== null && !isOwned(name)) return false;
+                written[name] = value;
+                if (current !== value) {
+                    target.set(name, value);
+                    changed = true;
+                }
+                return true;
+            };
+
+            let withToken = false;
+            getDecorationParams(rule).forEach(([name, value]) => {
+                if (name === 'stitchToken') {
+                    withToken = true;
+                    return;
+                }
+                if (value) write(name, value);
+            });
+
+            // Token the receiving domain uses to accept the session, kept current on any link that
+            // carries this session's uuid
+            if (withToken && uuidName && target.get(uuidName) === trackerData.uuid &&
+                stitchToken && stitchToken.uuid === trackerData.uuid) {
+                const token = { lmv_ts: String(stitchToken.timestamp), lmv_sig: stitchToken.signature };
+                Object.keys(token).forEach(name => {
+                    if (!token[name]) return;
+                    written[name] = token[name];
+                    if (target.get(name) !== token[name]) {
+                        target.set(name, token[name]);
+                        changed = true;
+                    }
+                });
+            }
+
+            Object.keys(owned).forEach(name => {
+                if (written[name] === undefined && isOwned(name)) {
+                    target.remove(name);
+                    changed = true;
+                }
+            });
+
+            return { written, changed };
+        }
+
+        function createSearchParamsTarget(params) {
+            return {
+                get: name => (params.has(name) ? params.get(name) : null),
+                set: (name, value) => params.set(name, value),
+                remove: name => params.delete(name)
+            };
+        }
+
+        // Fields of a GET form, the hidden inputs the tracker created are marked with data-lmv-decoration
+        function createFormInputsTarget(form) {
+            const find = (name, ownedOnly) => Array.from(form.querySelectorAll('[name]'))
+                .find(input => input.name === name && (!ownedOnly || input.hasAttribute('data-lmv-decoration')));
+            return {
+                get: name => {
+                    const input = find(name, false);
+                    return input ? input.value : null;
+                },
+                set: (name, value) => {
+                    let input = find(name, false);
+                    if (!input) {
+                        input = document.createElement('input');
+                        input.type = 'hidden';
+                        input.name = name;
+                        input.setAttribute('data-lmv-decoration', '');
+                        form.appendChild(input);
+                    }
+                    input.value = value;
+                },
+                remove: name => {
+                    const input = find(name, true);
+                    if (input) input.remove();
+                }
+            };
+        }
+
+        // Decorate a URL, owned lists the parameters the tracker wrote on it before
+        function decorateHref(href, owned = {}) {
+            const url = new URL(href, window.location.href);
+            const rule = findDecorationRule(url);
+            if (!rule) return { href, written: {}, changed: false };
+
+            const result = applyDecorationParams(rule, createSearchParamsTarget(url.searchParams), owned);
+            return { ...result, href: result.changed ? url.toString() : href };
+        }
+
+        // Decorate a URL string, returns it unchanged when no rule matches
+        function decorateUrl(href) {
+            if (!config.enableLinkDecoration || !trackerData || !href) return href;
+            return safeExecute(() => decorateHref(href).href, href);
+        }
+
+        function decorateForm(form) {
+            // getAttribute: form.action is shadowed by any field named "action"
+            const url = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+            const rule = findDecorationRule(url);
+            if (!rule) return false;
+
+            const owned = decoratedParams.get(form) || {};
+
+            // GET submissions replace the action query string, so parameters go in hidden inputs
+            if ((form.getAttribute('method') || 'get').toLowerCase() === 'get') {
+                const result = applyDecorationParams(rule, createFormInputsTarget(form), owned);
+                decoratedParams.set(form, result.written);
+                return result.changed;
+            }
+
+            const result = applyDecorationParams(rule, createSearchParamsTarget(url.searchParams), owned);
+            decoratedParams.set(form, result.written);
+            if (result.changed) {
+                form.setAttribute('action', url.toString());
+            }
+            return result.changed;
+        }
+
+        function decorateElement(element) {
+            if (element.tagName === 'FORM') {
+                const original = element.getAttribute('action');
+                const decorated = decorateForm(element);
+                if (decorated) {
+                    emitHook('onLinkDecorated', { element, original, decorated: element.getAttribute('action') });
+                }
+                return decorated;
+            }
+
+            if (!trackerData) return false;
+
+            const original = element.href;
+            const result = decorateHref(original, decoratedParams.get(element) || {});
+            decoratedParams.set(element, result.written);
+            if (!result.changed) return false;
+
+            const decorated = result.href;
+            element.href = decorated;
+            logDebug('Decorated link', { 
+                original: original, 
+                decorated: decorated 
+            });
+            emitHook('onLinkDecorated', { element, original, decorated });
+            return true;
+        }
+
+        function decorateLinks() {
+            if (!config.enableLinkDecoration || !trackerData) return 0;
+
+            return safeExecute(() => {
+                const elements = document.querySelectorAll(DECORATABLE_SELECTOR);
+                let decoratedCount = 0;
+            
+                elements.forEach(element => {
+                    try {
+                        if (decorateElement(element)) {
+                            decoratedCount++;
+                        }
+                    } catch (error) {
+                        console.warn('Failed to decorate link:', element.href || element.action, error);
+                    }
+                });
+            
+                logDebug(`Decorated ${decoratedCount} links`);
+                return decoratedCount;
+            }, 0);
+        }
+
+        // Decorate navigations the DOM scan can't see: hrefs changed after load and window.open()
+        function observeNavigations() {
+            if (!config.enableLinkDecoration || navigationDecorationActive) return;
+            navigationDecorationActive = true;
+
+            document.addEventListener('click', event => {
+                safeExecute(() => {
+                    const link = event.target.closest && event.target.closest('a[href], area[href]');
+                    if (!link || !isInitialized) return;
+                    ensureFreshStitchToken();
+                    decorateElement(link);
+                });
+            }, true);
+
+            document.addEventListener('submit', event => {
+                safeExecute(() => {
+                    if (!isInitialized || event.target.tagName !== 'FORM') return;
+                    ensureFreshStitchToken();
+                    decorateForm(event.target);
+                });
+            }, true);
+
+            if (typeof window.open === 'function') {
+                const originalOpen = window.open;
+                window.open = function (url, ...rest) {
+                    if (isInitialized) safeExecute(ensureFreshStitchToken);
+                    const decorated = isInitialized && typeof url === 'string' ? decorateUrl(url) : url;
+                    if (decorated !== url) {
+                        emitHook('onLinkDecorated', { element: null, original: url, decorated });
+                    }
+                    return originalOpen.call(this, decorated, ...rest);
+                };
+            }
+
+            // Renew the token of links already on the page before they get too old to be accepted
+            if (config.enableSessionStitching && config.stitchMaxAge > 0) {
+                setInterval(() => {
+                    if (!isInitialized || !trackerData) return;
+                    refreshStitchToken().then(() => decorateLinks());
+                }, getStitchRefreshInterval());
+            }
+
+            logDebug('Navigation decoration initialized');
+        }
+
+        // Form field population
+        const FORM_FIELD_SELECTOR = 'input, textarea, select';
+        const NON_VALUE_INPUT_TYPES = ['button', 'submit', 'reset', 'image', 'file', 'password'];
+        const populatedValues = new WeakMap(); // Last value the tracker set on each field
+
+        // Values forms can receive, keyed by tracked name
+        function getFieldValues() {
+            const values = {
+                uuid: trackerData.uuid,
+                ...getAttributionParams(trackerData, config.formAttribution)
+            };
+
+            ['first', 'last'].forEach(position => {
+                const touch = trackerData[`${position}_touch`];
+                if (!touch) return;
+                Object.entries(pickCampaignFields(touch)).forEach(([field, value]) => {
+                    values[`${position}_${field}`] = scrubTrackedValue(field, value);
+                });
+            });
+
+            // Meta cookies may be set after the tracker initialized
+            const fbp = getFbpCookie();
+            if (fbp) values.fbp = fbp;
+            const fbc = getFbc(trackerData);
+            if (fbc) values.fbc = fbc;
+
+            return values;
+        }
+
+        function getFieldSelectors(param, byName = config.matchFieldsByName) {
+            const selectors = [`#${param}`, `[data-lmv-field="${param}"]`];
+            if (byName) {
+                selectors.push(`[name="${param}"]`);
+            }
+
+            const mapped = config.fieldMapping && config.fieldMapping[param];
+            if (mapped) {
+                selectors.push(...(Array.isArray(mapped) ? mapped : [mapped]));
+            }
+            return selectors;
+        }
+
+        function findFields(param) {
+            const fields = new Set();
+            getFieldSelectors(param).forEach(selector => {
+                safeExecute(() => {
+                    document.querySelectorAll(selector).forEach(element => {
+                        if (element.matches(FORM_FIELD_SELECTOR)) fields.add(element);
+                    });
+                });
+            });
+            return Array.from(fields);
+        }
+
+        // Fields set up for the tracker (id, data-lmv-field, fieldMapping), as opposed to fields that
+        // only share the name of a tracked value and may belong to the page
+        function isClaimedField(element, param) {
+            return getFieldSelectors(param, false).some(selector => attempt(() => element.matches(selector), false));
+        }
+
+        function hasEnteredValue(element) {
+            const type = (element.type || '').toLowerCase();
+            if (type === 'checkbox' || type === 'radio') {
+                // A choice in the same group counts as entered
+                const scope = element.form || document;
+                return !!element.name && !!scope.querySelector(`input[name="${element.name}"]:checked`);
+            }
+            if (element.tagName === 'SELECT') {
+                // A select always has a value, only a changed selection counts as entered
+                const options = Array.from(element.options);
+                const initial = options.find(option => option.defaultSelected) || options[0];
+                return element.value !== populatedValues.get(element) && !!initial && !initial.selected;
+            }
+            return !!element.value && element.value !== populatedValues.get(element);
+        }
+
+        function setFieldValue(element, value) {
+            let changed = false;
+
+            if (element.tagName === 'SELECT') {
+                // For select elements, try to find and select the option with matching value
+                const option = Array.from(element.options).find(opt => 
+                    opt.value === value || opt.textContent === value
+                );
+                if (!option) return false;
+                changed = element.value !== option.value;
+                element.value = option.value;
+                populatedValues.set(element, option.value);
+            } else {
+                const type = (element.type || 'text').toLowerCase();
+                if (NON_VALUE_INPUT_TYPES.includes(type)) return false;
+
+                if (type === 'checkbox' || type === 'radio') {
+                    if (element.value !== value) return false;
+                    changed = !element.checked;
+                    element.checked = true;
+                } else {
+                    changed = element.value !== value;
+                    element.value = value;
+                    populatedValues.set(element, value);
+                }
+            }
+
+            // Let framework-managed forms (React, Vue) pick up the new value
+            if (changed) {
+                element.dispatchEvent(new window.Event('input', { bubbles: true }));
+                element.dispatchEvent(new window.Event('change', { bubbles: true }));
+            }
+            return true;
+        }
+
+        function populateUTMFields() {
+            if (!config.enableFormPopulation || !trackerData) return 0;
+
+            return safeExecute(() => {
+                let populatedCount = 0;
+                const fieldValues = getFieldValues();
+            
+                Object.keys(fieldValues).forEach(param => {
+                    const value = fieldValues[param];
+                    if (!value) return;
+
+                    findFields(param).forEach(element => {
+                        try {
+                            // Visible fields keep what the user entered, hidden fields matched only by
+                            // name keep what the page put in them
+                            const isHidden = (element.type || '').toLowerCase() === 'hidden';
+                            const keepsValue = config.preserveFieldValues || !isHidden || !isClaimedField(element, param);
+                            if (keepsValue && hasEnteredValue(element)) {
+                                logDebug(`Kept entered value of ${param} field`, { elementId: element.id, name: element.name });
+                                return;
+                            }
+
+                            if (setFieldValue(element, value)) {
+                                populatedCount++;
+                                logDebug(`Populated ${param} field`, { 
+                                    elementType: element.tagName, 
+                                    elementId: element.id, 
+                                    name: element.name,
+                                    value: value 
+                                });
+                            }
+                        } catch (error) {
+                            console.warn(`Failed to populate ${param} field:`, element, error);
+                        }
+                    });
+                });
+            
+                logDebug(`Populated ${populatedCount} UTM fields`);
+                return populatedCount;
+            }, 0);
+        }
+
+        // Form submission tracking
+        const MAX_CAPTURED_VALUE_LENGTH = 500;
+
+        function getFormFieldData(form) {
+            const fieldNames = [];
+            const values = {};
+            const captureFields = config.formCaptureFields || [];
+
+            Array.from(form.elements).forEach(element => {
+                const name = element.name;
+                const type = (element.type || '').toLowerCase();
+                if (!name || NON_VALUE_INPUT_TYPES.includes(type) || element.tagName === 'FIELDSET' || element.tagName === 'BUTTON') return;
+
+                if (!fieldNames.includes(name)) {
+                    fieldNames.push(name);
+                }
+
+                if (!captureFields.includes(name)) return;
+                if ((type === 'checkbox' || type === 'radio') && !element.checked) return;
+
+                const value = element.tagName === 'SELECT' && element.multiple
+                    ? Array.from(element.selectedOptions).map(option => option.value).join(',')
+                    : String(element.value || '');
+                if (!value) return;
+
+                const trimmed = value.slice(0, MAX_CAPTURED_VALUE_LENGTH);
+                values[name] = values[name] ? `${values[name]},${trimmed}` : trimmed;
+            });
+
+            return { fieldNames, values };
+        }
+
+        function handleFormSubmit(form) {
+            if (!form || form.tagName !== 'FORM' || form.hasAttribute('data-lmv-ignore')) return;
+
+            // Late attribution data (cookies, touches) must make it into this submission
+            if (isInitialized) {
+                populateUTMFields();
+            }
+
+            const { fieldNames, values } = getFormFieldData(form);
+            const action = safeExecute(() => {
+                const url = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+                return url.origin + url.pathname;
+            }, null);
+
+            trackEvent('form', 'submit', {
+                form_id: form.id || null,
+                form_name: form.getAttribute('name') || null,
+                form_action: action,
+                form_method: (form.getAttribute('method') || 'get').toLowerCase(),
+                field_names: fieldNames,
+                ...(Object.keys(values).length > 0 && { field_values: values })
+            }, true);
+            logDebug('Form submission tracked', { formId: form.id, fields: fieldNames.length });
+        }
+
+        function observeFormSubmissions() {
+            if (!config.enableFormTracking || formTrackingActive) return;
+            formTrackingActive = true;
+
+            // Delegated on the document so forms added later are covered too
+            document.addEventListener('submit', event => {
+                safeExecute(() => handleFormSubmit(event.target));
+            }, true);
+
+            // form.submit() doesn't fire a submit event
+            safeExecute(() => {
+                const originalSubmit = window.HTMLFormElement.prototype.submit;
+                window.HTMLFormElement.prototype.submit = function () {
+                    safeExecute(() => handleFormSubmit(this));
+                    return originalSubmit.apply(this, arguments);
+                };
+            });
+
+            logDebug('Form submission tracking initialized');
+        }
+
+        // Click tracking
+        const MAX_CLICK_TEXT_LENGTH = 100;
+
+        function getElementText(element) {
+            const text = element.getAttribute('aria-label')
+                || (element.textContent || '').replace(/\s+/g, ' ').trim()
+                || element.getAttribute('title')
+                || (element.querySelector && element.querySelector('img[alt]') && element.querySelector('img[alt]').alt)
+                || '';
+            return text.slice(0, MAX_CLICK_TEXT_LENGTH);
+        }
+
+        function getClickKind(element, url) {
+            if (url) {
+                if (url.hostname === config.paymentDomain) return 'payment';
+                if (findDecorationRule(url)) return 'decorated';
+                if ((url.protocol === 'https:' || url.protocol === 'http:') && url.hostname !== window.location.hostname) return 'outbound';
+            }
+            return element.hasAttribute('data-lmv-track') ? 'element' : null;
+        }
+
+        function handleClick(event) {
+            // Primary and middle clicks only
+            if (event.type === 'auxclick' && event.button !== 1) return;
+
+            const target = event.target;
+            if (!target || !target.closest) return;
+
+            const marked = target.closest('[data-lmv-track]');
+            const link = target.closest('a[href], area[href]');
+            const element = marked || link;
+            if (!element) return;
+
+            const href = link ? link.href : null;
+            const url = href ? attempt(() => new URL(href), null) : null;
+            const kind = getClickKind(element, url);
+            if (!kind) return;
+
+            const container = element.parentElement && element.parentElement.closest('[id]');
+            const links = link ? Array.from(document.querySelectorAll('a[href], area[href]')) : [];
+
+            trackEvent('click', kind, {
+                text: getElementText(element),
+                destination: url ? url.origin + url.pathname : null,
+                element_id: element.id || null,
+                container_id: container ? container.id : null,
+                position: link ? links.indexOf(link) + 1 : null,
+                label: marked ? (marked.getAttribute('data-lmv-track') || null) : null
+            }, true);
+            logDebug('Click tracked', { kind, destination: href });
+        }
+
+        function observeClicks() {
+            if (!config.enableClickTracking || clickTrackingActive) return;
+            clickTrackingActive = true;
+
+            // Capture phase: runs before handlers that navigate or stop propagation
+            ['click', 'auxclick'].forEach(type => {
+                document.addEventListener(type, event => {
+                    safeExecute(() => handleClick(event));
+                }, true);
+            });
+
+            logDebug('Click tracking initialized');
+        }
+
+        // Engagement tracking
+        const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+        function createEngagement() {
+            return {
+                path: getRoutePath(),
+                startedAt: clock.now(),
+                activeMs: 0,
+                activeSince: null,
+                maxScrollDepth: 0,
+                milestones: [],
+                reportedActiveMs: -1
+            };
+        }
+
+        function isPageVisible() {
+            return document.visibilityState !== 'hidden';
+        }
+
+        function pauseActiveTime() {
+            if (!engagement || engagement.activeSince === null) return;
+            engagement.activeMs += clock.now() - engagement.activeSince;
+            engagement.activeSince = null;
+        }
 
-    function debugSession() {
-        console.group('📊 Session Debug');
-        console.log('Session UUID:', trackerData?.uuid);
-        console.log('Created At:', trackerData?.created_at ? new Date(trackerData.created_at) : 'N/A');
-        console.log('Last Updated:', trackerData?.last_updated ? new Date(trackerData.last_updated) : 'N/A');
-        console.log('Page Views:', trackerData?.page_views);
-        console.log('UTM Parameters:', UTM_FIELDS.reduce((acc, field) => {
-            if (trackerData?.[field]) acc[field] = trackerData[field];
-            return acc;
-        }, {}));
-        console.groupEnd();
-    }
+        function getActiveTime() {
+            if (!engagement) return 0;
+            const running = engagement.activeSince === null ? 0 : clock.now() - engagement.activeSince;
+            return engagement.activeMs + running;
+        }
+
+        function markActive() {
+            if (!engagement || !isPageVisible()) return;
+
+            if (engagement.activeSince === null) {
+                engagement.activeSince = clock.now();
+            }
 
-    // Initialize when DOM is ready
-    function initialize() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initializeTracker);
-        } else {
-            initializeTracker();
+            clearTimeout(idleTimeout);
+            idleTimeout = setTimeout(pauseActiveTime, config.idleTimeout * 1000);
         }
-    }
 
-    // Expose debug functions and utilities
-    window.lmvDebug = debugCurrentState;
-    window.lmvDebugLinks = debugDecoratedLinks;
-    window.lmvDebugUTMFields = debugUTMFields;
-    window.lmvDebugStorage = debugStorage;
-    window.lmvDebugSession = debugSession;
-    
-    // Expose tracker methods for manual use
-    window.lmvTracker = {
-        getSessionUUID: () => trackerData?.uuid,
-        getSessionData: () => trackerData,
-        refreshLinks: decorateLinks,
-        refreshFields: populateUTMFields,
-        reinitialize: initializeTracker,
-        // Consent management methods
-        giveConsent: giveConsent,
-        revokeConsent: revokeConsent,
-        hasConsent: () => consentGiven,
-        checkConsent: checkConsent
-    };
-    
-    // Watch for debug mode changes
-    Object.defineProperty(window, 'lmvDebugMode', {
-        get: function() {
-            return this._lmvDebugMode || config.debugMode;
-        },
-        set: function(value) {
-            this._lmvDebugMode = Boolean(value);
-            if (this._lmvDebugMode) {
-                console.log('🔍 LMV Tracker debug mode enabled');
-                debugCurrentState();
+        function getScrollDepth() {
+            const root = document.documentElement;
+            const scrollHeight = Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0);
+            if (!scrollHeight) return 0;
+            const viewed = (window.scrollY || root.scrollTop || 0) + window.innerHeight;
+            return Math.min(100, Math.round((viewed / scrollHeight) * 100));
+        }
+
+        function checkScrollDepth() {
+            if (!engagement) return;
+
+            const depth = getScrollDepth();
+            engagement.maxScrollDepth = Math.max(engagement.maxScrollDepth, depth);
+
+            config.scrollMilestones.forEach(milestone => {
+                if (depth >= milestone && !engagement.milestones.includes(milestone)) {
+                    engagement.milestones.push(milestone);
+                    track('engagement', 'scroll', { depth: milestone, path: engagement.path });
+                    logDebug(`Scroll depth ${milestone}% reached`);
+                }
+            });
+        }
+
+        function sendEngagementSummary() {
+            if (!engagement || !isInitialized) return;
+
+            const activeMs = getActiveTime();
+            // Nothing new since the last summary (e.g. hidden twice without coming back)
+            if (activeMs === engagement.reportedActiveMs) return;
+            engagement.reportedActiveMs = activeMs;
+
+            trackEvent('engagement', 'summary', {
+                path: engagement.path,
+                active_time: Math.round(activeMs / 1000),
+                max_scroll_depth: engagement.maxScrollDepth,
+                scroll_milestones: engagement.milestones.slice(),
+                page_duration: Math.round((clock.now() - engagement.startedAt) / 1000)
+            }, true);
+        }
+
+        function sendHeartbeat() {
+            if (!engagement || !isInitialized || !trackerData) return;
+            // Idle or hidden visitors shouldn't keep the session alive
+            if (!isPageVisible() || engagement.activeSince === null) return;
+
+            trackerData.last_updated = clock.now();
+            saveStoredData(trackerData);
+
+            track('engagement', 'heartbeat', {
+                path: engagement.path,
+                active_time: Math.round(getActiveTime() / 1000)
+            });
+            logDebug('Heartbeat sent');
+        }
+
+        // Called on SPA route changes: report the previous route and start over
+        function resetEngagement() {
+            if (!engagementTrackingActive) return;
+            pauseActiveTime();
+            sendEngagementSummary();
+            engagement = createEngagement();
+            markActive();
+        }
+
+        function observeEngagement() {
+            if (!config.enableEngagementTracking || engagementTrackingActive) return;
+            engagementTrackingActive = true;
+            engagement = createEngagement();
+
+            let scrollScheduled = false;
+            ACTIVITY_EVENTS.forEach(type => {
+                window.addEventListener(type, () => {
+                    markActive();
+                    if (type === 'scroll' && !scrollScheduled) {
+                        scrollScheduled = true;
+                        setTimeout(() => {
+                            scrollScheduled = false;
+                            safeExecute(checkScrollDepth);
+                        }, 250);
+                    }
+                }, { passive: true, capture: true });
+            });
+
+            document.addEventListener('visibilitychange', () => {
+                if (isPageVisible()) {
+                    markActive();
+                } else {
+                    pauseActiveTime();
+                    sendEngagementSummary();
+                }
+            });
+            window.addEventListener('pagehide', () => {
+                pauseActiveTime();
+                sendEngagementSummary();
+            });
+
+            if (config.heartbeatInterval > 0) {
+                setInterval(sendHeartbeat, config.heartbeatInterval * 1000);
             }
+
+            markActive();
+            checkScrollDepth();
+            logDebug('Engagement tracking initialized');
         }
-    });
 
-    // Start the tracker
-    initialize();
+        // Performance tracking
+        const VITALS_THRESHOLDS = {
+            lcp: [2500, 4000],
+            cls: [0.1, 0.25],
+            inp: [200, 500],
+            fcp: [1800, 3000],
+            ttfb: [800, 1800]
+        };
+
+        function getVitalRating(metric, value) {
+            const [good, poor] = VITALS_THRESHOLDS[metric];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        }
+
+        // Decided per session from its uuid, so a sampled session reports every page
+        function isPerformanceSampled() {
+            const rate = Number(config.performanceSampleRate);
+            if (!(rate > 0)) return false;
+            if (rate >= 1) return true;
+            if (!trackerData) return false;
+            const bucket = parseInt(trackerData.uuid.replace(/-/g, '').slice(-8), 16) / 0xffffffff;
+            return bucket < rate;
+        }
+
+        function getNavigationEntry() {
+            return attempt(() => window.performance.getEntriesByType('navigation')[0], null);
+        }
+
+        function reportVital(metric, value, immediate = false) {
+            if (!isPerformanceSampled()) return;
+
+            const rounded = metric === 'cls' ? Math.round(value * 10000) / 10000 : Math.round(value);
+            trackEvent('performance', metric, {
+                value: rounded,
+                rating: getVitalRating(metric, rounded),
+                path: performanceMetrics.path,
+                navigation_type: performanceMetrics.navigationType
+            }, immediate);
+            logDebug(`Performance metric ${metric}`, rounded);
+        }
+
+        function observeEntries(type, callback, options = {}) {
+            return safeExecute(() => {
+                const observer = new window.PerformanceObserver(list => {
+                    safeExecute(() => list.getEntries().forEach(callback));
+                });
+                observer.observe({ type, buffered: true, ...options });
+                return observer;
+            }, null);
+        }
+
+        // Page timings are only meaningful while the page is visible
+        function isBeforeHidden(entry) {
+            return entry.startTime < performanceMetrics.firstHiddenTime;
+        }
+
+        // Layout shifts grouped in windows (1s gap, 5s max), CLS is the largest window
+        function recordLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+
+            const metrics = performanceMetrics;
+            const last = metrics.shiftWindow[metrics.shiftWindow.length - 1];
+            const first = metrics.shiftWindow[0];
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                metrics.shiftWindowValue += entry.value;
+                metrics.shiftWindow.push(entry);
+            } else {
+                metrics.shiftWindowValue = entry.value;
+                metrics.shiftWindow = [entry];
+            }
+            metrics.cls = Math.max(metrics.cls, metrics.shiftWindowValue);
+        }
+
+        // INP is the slowest interaction, ignoring one outlier per 50 interactions
+        function recordInteraction(entry) {
+            if (!entry.interactionId) return;
+
+            const metrics = performanceMetrics;
+            metrics.interactionIds[entry.interactionId] = true;
+            const existing = metrics.interactions.find(item => item.id === entry.interactionId);
+            if (existing) {
+                existing.duration = Math.max(existing.duration, entry.duration);
+            } else {
+                metrics.interactions.push({ id: entry.interactionId, duration: entry.duration });
+            }
+            metrics.interactions.sort((a, b) => b.duration - a.duration);
+            metrics.interactions.splice(10);
+        }
+
+        function getINP() {
+            const metrics = performanceMetrics;
+            if (metrics.interactions.length === 0) return null;
+            const count = Object.keys(metrics.interactionIds).length;
+            const index = Math.min(metrics.interactions.length - 1, Math.floor(count / 50));
+            return metrics.interactions[index].duration;
+        }
+
+        // LCP is final once the page is hidden, CLS and INP can still grow if the visitor comes back
+        function reportPageVitals() {
+            const metrics = performanceMetrics;
+            if (!metrics || !isInitialized) return;
+
+            if (metrics.lcp !== null && !metrics.lcpReported) {
+                metrics.lcpReported = true;
+                reportVital('lcp', metrics.lcp, true);
+            }
+            if (metrics.clsObserved && metrics.cls !== metrics.reportedCls) {
+                metrics.reportedCls = metrics.cls;
+                reportVital('cls', metrics.cls, true);
+            }
+            const inp = getINP();
+            if (inp !== null && inp !== metrics.reportedInp) {
+                metrics.reportedInp = inp;
+                reportVital('inp', inp, true);
+            }
+        }
+
+        function reportNavigationTiming() {
+            const entry = getNavigationEntry();
+            if (!entry || !isPerformanceSampled()) return;
+
+            const ms = value => Math.max(0, Math.round(value));
+            reportVital('ttfb', entry.responseStart);
+            trackEvent('performance', 'navigation', {
+                path: performanceMetrics.path,
+                navigation_type: performanceMetrics.navigationType,
+                protocol: entry.nextHopProtocol || null,
+                transfer_size: entry.transferSize || 0,
+                dns: ms(entry.domainLookupEnd - entry.domainLookupStart),
+                connect: ms(entry.connectEnd - entry.connectStart),
+                tls: entry.secureConnectionStart > 0 ? ms(entry.connectEnd - entry.secureConnectionStart) : 0,
+                ttfb: ms(entry.responseStart),
+                response: ms(entry.responseEnd - entry.responseStart),
+                dom_interactive: ms(entry.domInteractive),
+                dom_content_loaded: ms(entry.domContentLoadedEventEnd),
+                load: ms(entry.loadEventEnd)
+            }, false);
+        }
+
+        // Wait for loadEventEnd so the navigation entry is complete
+        function whenPageLoaded(callback) {
+            const run = () => setTimeout(() => safeExecute(callback), 0);
+            if (document.readyState === 'complete') {
+                run();
+            } else {
+                window.addEventListener('load', run, { once: true });
+            }
+        }
+
+        // Metrics describe the page load, so SPA route changes keep the landing path
+        function observePerformance() {
+            if (!config.enablePerformanceTracking || performanceMetrics) return;
+            if (!window.PerformanceObserver || !window.performance) {
+                logDebug('Performance tracking unavailable in this browser');
+                return;
+            }
+
+            const navigation = getNavigationEntry();
+            performanceMetrics = {
+                path: getRoutePath(),
+                navigationType: navigation ? navigation.type : null,
+                firstHiddenTime: document.visibilityState === 'hidden' ? 0 : Infinity,
+                lcp: null,
+                lcpReported: false,
+                cls: 0,
+                clsObserved: false,
+                reportedCls: null,
+                shiftWindow: [],
+                shiftWindowValue: 0,
+                interactions: [],
+                interactionIds: {},
+                reportedInp: null
+            };
+
+            observeEntries('paint', entry => {
+                if (entry.name === 'first-contentful-paint' && isBeforeHidden(entry)) {
+                    reportVital('fcp', entry.startTime);
+                }
+            });
+            observeEntries('largest-contentful-paint', entry => {
+                if (isBeforeHidden(entry)) {
+                    performanceMetrics.lcp = entry.startTime;
+                }
+            });
+            if (observeEntries('layout-shift', recordLayoutShift)) {
+                performanceMetrics.clsObserved = true;
+            }
+            observeEntries('event', recordInteraction, { durationThreshold: 40 });
+            observeEntries('first-input', recordInteraction);
+
+            whenPageLoaded(reportNavigationTiming);
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    performanceMetrics.firstHiddenTime = Math.min(performanceMetrics.firstHiddenTime, window.performance.now());
+                    safeExecute(reportPageVitals);
+                }
+            });
+            window.addEventListener('pagehide', () => safeExecute(reportPageVitals));
+
+            logDebug('Performance tracking initialized');
+        }
+
+        // Error tracking
+        const MAX_ERROR_MESSAGE_LENGTH = 500;
+        const MAX_STACK_FRAMES = 10;
+        const STACK_URL_PATTERN = /\b(?:https?|blob|file):\/\/[^\s()'"]+/gi;
+
+        // URLs lose sensitive query parameters, the :line:column suffix is kept
+        function scrubErrorText(text, maxLength) {
+            let result = String(text || '').slice(0, maxLength);
+            if (!config.enableScrubbing) return result;
+
+            result = result.replace(STACK_URL_PATTERN, url => {
+                const position = url.match(/(?::\d+){1,2}$/);
+                const base = position ? url.slice(0, -position[0].length) : url;
+                return scrubUrl(base) + (position ? position[0] : '');
+            });
+            return redactText(result, true);
+        }
+
+        function trimStack(stack) {
+            if (!stack || typeof stack !== 'string') return null;
+            const frames = stack.split('\n').map(line => line.trim()).filter(Boolean).slice(0, MAX_STACK_FRAMES + 1);
+            return scrubErrorText(frames.join('\n'), MAX_STACK_FRAMES * 200);
+        }
+
+        // Source of a rejection or tracker error: the first frame with a file location
+        function getStackLocation(stack) {
+            const match = typeof stack === 'string' && stack.match(/((?:https?|blob|file):\/\/[^\s()'"]+?):(\d+)(?::(\d+))?/i);
+            return match ? { source: match[1], line: Number(match[2]), column: Number(match[3]) || null } : {};
+        }
+
+        function isIgnoredError(message) {
+            return [].concat(config.ignoreErrors || []).some(pattern => (
+                pattern instanceof RegExp ? pattern.test(message) : message.includes(pattern)
+            ));
+        }
+
+        function getErrorFingerprint(kind, details) {
+            const text = [kind, details.message, details.source, details.line].join('|');
+            let hash = 5381;
+            for (let i = 0; i < text.length; i++) {
+                hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+            }
+            return (hash >>> 0).toString(36);
+        }
+
+        // Dedup and cap per session: fingerprints of sent errors are stored with the session uuid
+        function recordReportedError(fingerprint) {
+            const reported = trackerData.reported_errors && trackerData.reported_errors.uuid === trackerData.uuid
+                ? trackerData.reported_errors
+                : { uuid: trackerData.uuid, fingerprints: [] };
+            if (reported.fingerprints.includes(fingerprint)) return false;
+            if (reported.fingerprints.length >= config.maxErrorsPerSession) {
+                logDebug('Error limit reached for this session');
+                return false;
+            }
+
+            trackerData.reported_errors = { uuid: reported.uuid, fingerprints: reported.fingerprints.concat(fingerprint) };
+            saveStoredData(trackerData);
+            return true;
+        }
+
+        function sendError(kind, details) {
+            const fingerprint = getErrorFingerprint(kind, details);
+            if (!recordReportedError(fingerprint)) return;
+
+            trackEvent('error', kind, {
+                message: details.message,
+                stack: details.stack,
+                source: details.source ? scrubUrl(details.source) : null,
+                line: details.line || null,
+                column: details.column || null,
+                path: getRoutePath()
+            }, false);
+        }
+
+        // kind: 'javascript', 'unhandled_rejection' or 'tracker'
+        function reportError(kind, details) {
+            if (reportingError) return;
+            reportingError = true;
+            try {
+                const message = scrubErrorText(details.message || 'Unknown error', MAX_ERROR_MESSAGE_LENGTH);
+                if (kind !== 'tracker' && isIgnoredError(message)) return;
+
+                const report = { ...details, message, stack: trimStack(details.stack) };
+                // Dedup and the session cap need the session, errors before it wait
+                if (!trackerData) {
+                    if (pendingErrors.length < config.maxErrorsPerSession) {
+                        pendingErrors.push({ kind, details: report });
+                    }
+                    return;
+                }
+                sendError(kind, report);
+            } catch (error) {
+                logDebug('Error reporting failed:', error);
+            } finally {
+                reportingError = false;
+            }
+        }
+
+        function flushPendingErrors() {
+            const errors = pendingErrors;
+            pendingErrors = [];
+            errors.forEach(({ kind, details }) => safeExecute(() => sendError(kind, details)));
+        }
+
+        function describeError(error) {
+            if (error instanceof Error || (error && typeof error === 'object' && 'message' in error)) {
+                return { message: `${error.name || 'Error'}: ${error.message}`, stack: error.stack };
+            }
+            return { message: typeof error === 'string' ? error : safeStringify(error), stack: null };
+        }
+
+        function safeStringify(value) {
+            try {
+                return JSON.stringify(value) || String(value);
+            } catch (error) {
+                return String(value);
+            }
+        }
+
+        // Failures caught by safeExecute
+        function reportTrackerError(error) {
+            if (!config.reportTrackerErrors) return;
+            const details = describeError(error);
+            reportError('tracker', { ...details, ...getStackLocation(details.stack) });
+        }
+
+        // Listeners are added by start() so errors thrown before initialization are caught too
+        function observeErrors() {
+            if (!config.enableErrorTracking || errorTrackingActive) return;
+            errorTrackingActive = true;
+
+            window.addEventListener('error', event => {
+                const details = event.error ? describeError(event.error) : { message: event.message, stack: null };
+                reportError('javascript', {
+                    ...details,
+                    source: event.filename || null,
+                    line: event.lineno || null,
+                    column: event.colno || null
+                });
+            });
+
+            window.addEventListener('unhandledrejection', event => {
+                const details = describeError(event.reason);
+                reportError('unhandled_rejection', { ...details, ...getStackLocation(details.stack) });
+            });
+
+            logDebug('Error tracking initialized');
+        }
+
+        // Dynamic content observer
+        function observeDOMChanges() {
+            if (!window.MutationObserver || domObserverActive) return;
+            domObserverActive = true;
+        
+            let domChangeTimeout = null;
+            const observer = new window.MutationObserver((mutations) => {
+                let shouldDecorate = false;
+                let shouldPopulate = false;
+            
+                mutations.forEach((mutation) => {
+                    if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+                        mutation.addedNodes.forEach((node) => {
+                            if (node.nodeType === window.Node.ELEMENT_NODE) {
+                                // Check for new links and forms
+                                if (config.enableLinkDecoration) {
+                                    const links = node.querySelectorAll ? Array.from(node.querySelectorAll(DECORATABLE_SELECTOR)) : [];
+                                    if (node.matches && node.matches(DECORATABLE_SELECTOR)) links.push(node);
+                                    if (links.length > 0) {
+                                        shouldDecorate = true;
+                                        logDebug('New links detected in DOM', { count: links.length });
+                                    }
+                                }
+                            
+                                // Check for new form fields (mapping selectors can match any of them)
+                                if (config.enableFormPopulation) {
+                                    const fields = node.querySelectorAll ? Array.from(node.querySelectorAll(FORM_FIELD_SELECTOR)) : [];
+                                    if (node.matches && node.matches(FORM_FIELD_SELECTOR)) fields.push(node);
+                                    if (fields.length > 0) {
+                                        shouldPopulate = true;
+                                        logDebug('New form fields detected in DOM', { 
+                                            count: fields.length
+                                        });
+                                    }
+                                }
+                            }
+                        });
+                    }
+                });
+            
+                if (shouldDecorate || shouldPopulate) {
+                    // Debounce to avoid excessive calls
+                    clearTimeout(domChangeTimeout);
+                    domChangeTimeout = setTimeout(() => {
+                        if (shouldDecorate) {
+                            const count = decorateLinks();
+                            logDebug('Decorated links after DOM change', { count });
+                        }
+                        if (shouldPopulate) {
+                            const count = populateUTMFields();
+                            logDebug('Populated UTM fields after DOM change', { count });
+                        }
+                    }, 100);
+                }
+            });
+        
+            observer.observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+        
+            logDebug('DOM observer initialized');
+        }
+
+        // SPA route change tracking
+        function getRoutePath() {
+            const path = window.location.pathname + window.location.search;
+            return config.trackHashRoutes ? path + window.location.hash : path;
+        }
+
+        function scheduleRouteChange() {
+            clearTimeout(routeChangeTimeout);
+            routeChangeTimeout = setTimeout(() => {
+                handleRouteChange();
+            }, config.routeChangeDelay);
+        }
+
+        async function handleRouteChange() {
+            if (!isInitialized || !trackerData) return;
+
+            const currentPath = getRoutePath();
+            if (currentPath === lastRoutePath) return;
+
+            const previousUrl = window.location.origin + stripAdParams(lastRoutePath || trackerData.current_path || '/');
+            lastRoutePath = currentPath;
+            resetEngagement();
+
+            const now = clock.now();
+            const utms = extractUTMsFromURL();
+            const hasNewUTMs = Object.keys(utms).length > 0;
+            const isNewSession = shouldStartNewSession(trackerData.last_updated) || isCampaignChange(trackerData, utms);
+
+            if (isNewSession) {
+                trackerData = {
+                    ...trackerData,
+                    ...getVisitor(trackerData, now, true),
+                    uuid: generateUUID(),
+                    created_at: now,
+                    page_views: 0
+                };
+                logDebug('Created new session on route change', { sessionId: trackerData.uuid });
+                await refreshStitchToken();
+            }
+
+            trackerData = {
+                ...trackerData,
+                last_updated: now,
+                page_views: (trackerData.page_views || 0) + 1,
+                current_path: getStoredPath(currentPath),
+                current_title: document.title,
+                ...utms
+            };
+
+            if (hasNewUTMs) {
+                trackerData = recordTouchpoint(trackerData, utms, now, isNewSession);
+                captureMetaIdentifiers(trackerData, utms);
+                logDebug('Updated UTM parameters on route change', utms);
+            }
+
+            saveStoredData(trackerData);
+            emitSessionHook(isNewSession);
+            startPageView(isNewSession, currentPath, document.title);
+
+            logDebug('Route changed', {
+                uuid: trackerData.uuid,
+                pageViews: trackerData.page_views,
+                path: currentPath,
+                referrer: previousUrl
+            });
+
+            // The backend only needs to hear about new sessions and new UTMs
+            if (isNewSession || hasNewUTMs) {
+                await createOrUpdateSession(trackerData);
+            }
+
+            await logPageViewEvent(trackerData, currentPath, document.title, utms, previousUrl);
+            // After the page view, so milestones of short pages follow it
+            checkScrollDepth();
+
+            decorateLinks();
+            populateUTMFields();
+        }
+
+        function observeRouteChanges() {
+            if (!config.enableHistoryTracking || historyTrackingActive) return;
+            if (!window.history || typeof window.history.pushState !== 'function') return;
+
+            safeExecute(() => {
+                ['pushState', 'replaceState'].forEach(method => {
+                    const original = window.history[method];
+                    window.history[method] = function () {
+                        const result = original.apply(this, arguments);
+                        scheduleRouteChange();
+                        return result;
+                    };
+                });
+
+                window.addEventListener('popstate', scheduleRouteChange);
+                window.addEventListener('hashchange', scheduleRouteChange);
+                historyTrackingActive = true;
+
+                logDebug('History tracking initialized');
+            });
+        }
+
+        // Main initialization function
+        async function initializeTracker() {
+            if (isInitialized) return trackerData;
+        
+            // Check consent before proceeding
+            if (!checkConsent()) {
+                logDebug('Tracking initialization blocked - consent required but not given');
+                pendingInitialization = true;
+                return null;
+            }
+
+            const stored = getStoredData();
+            const now = clock.now();
+            const utms = classifyTraffic(extractUTMsFromURL(), isValidTrackerData(stored) ? stored : null);
+            const hasNewUTMs = Object.keys(utms).length > 0;
+            const incomingUUID = await getIncomingSessionUUID();
+
+            // The session travels in the link, the address bar doesn't need to show it
+            cleanLandingURL();
+
+            const currentPath = window.location.pathname + window.location.search;
+            const currentTitle = document.title;
+            const storedPath = getStoredPath(currentPath);
+
+            // Adopt a session started on another domain, otherwise validate stored data
+            // and create new session if needed
+            const isAdoptedSession = !!incomingUUID && (!isValidTrackerData(stored) || stored.uuid !== incomingUUID);
+            const isNewSession = isAdoptedSession ||
+                !isValidTrackerData(stored) ||
+                shouldStartNewSession(stored.last_updated) ||
+                isCampaignChange(stored, utms);
+            const visitor = getVisitor(isValidTrackerData(stored) ? stored : null, now, isNewSession);
+            if (isAdoptedSession) {
+                trackerData = {
+                    ...(isValidTrackerData(stored) ? stored : {}), // Keep local UTMs and touches
+                    ...visitor,
+                    uuid: incomingUUID,
+                    created_at: now,
+                    last_updated: now,
+                    page_views: 1,
+                    current_path: storedPath,
+                    current_title: currentTitle,
+                    ...utms
+                };
+                logDebug('Adopted session from incoming link', { 
+                    sessionId: incomingUUID, 
+                    previousSessionId: isValidTrackerData(stored) ? stored.uuid : null,
+                    path: currentPath
+                });
+            } else if (isNewSession) {
+                trackerData = {
+                    ...(isValidTrackerData(stored) ? stored : {}), // Preserve valid stored data
+                    ...visitor,
+                    uuid: generateUUID(),
+                    created_at: now,
+                    last_updated: now,
+                    page_views: 1,
+                    current_path: storedPath,
+                    current_title: currentTitle,
+                    ...utms // Include UTM parameters
+                };
+                logDebug('Created new session', { 
+                    sessionId: trackerData.uuid, 
+                    visitorId: trackerData.visitor_id,
+                    sessionCount: trackerData.session_count,
+                    utms: utms,
+                    path: currentPath
+                });
+            } else {
+                trackerData = {
+                    ...stored,
+                    ...visitor,
+                    last_updated: now,
+                    page_views: (stored.page_views || 0) + 1,
+                    current_path: storedPath,
+                    current_title: currentTitle
+                };
+            
+                if (hasNewUTMs) {
+                    Object.assign(trackerData, utms);
+                    logDebug('Updated UTM parameters', utms);
+                }
+            
+                logDebug('Continued existing session', { 
+                    uuid: trackerData.uuid, 
+                    pageViews: trackerData.page_views,
+                    path: currentPath
+                });
+            }
+
+            if (pendingIdentity) {
+                trackerData = withIdentity(trackerData, pendingIdentity);
+                pendingIdentity = null;
+            }
+
+            // Keep first-touch and last-touch attribution
+            trackerData = recordTouchpoint(trackerData, utms, now, isNewSession);
+
+            // Capture fbp cookie and fbc click identifier
+            captureMetaIdentifiers(trackerData, utms);
+
+            // Save data locally
+            saveStoredData(trackerData);
+            emitSessionHook(isNewSession, isAdoptedSession);
+            startPageView(isNewSession, currentPath, currentTitle);
+
+            // Retry requests left over from previous pages and flush the queue when the page goes away
+            observePageLifecycle();
+            processQueue();
+
+            // Create or update session on backend and log the page view event
+            // (the page view is queued behind the session request if that one failed)
+            await createSessionWithPageView(trackerData, currentPath, currentTitle, utms);
+
+            // Initialize DOM interactions
+            await refreshStitchToken();
+            const decoratedCount = decorateLinks();
+            const populatedCount = populateUTMFields();
+            observeDOMChanges();
+            observeNavigations();
+            observeFormSubmissions();
+            observeClicks();
+            observeEngagement();
+            observePerformance();
+
+            // Track SPA route changes from the current route onwards
+            lastRoutePath = getRoutePath();
+            observeRouteChanges();
+
+            // Mark as initialized
+            isInitialized = true;
+
+            // Send custom events and errors from before the tracker was ready
+            flushPendingEvents();
+            flushPendingErrors();
+
+            logDebug('Tracker initialized', {
+                uuid: trackerData.uuid,
+                decoratedLinks: decoratedCount,
+                populatedUTMFields: populatedCount,
+                utmParams: utms,
+                config: config
+            });
+
+            return trackerData;
+        }
+
+        // Debug functions exposed to window
+        function debugCurrentState() {
+            const utms = extractUTMsFromURL();
+        
+            console.group('🔍 LMV Tracker Debug Info');
+            console.log('Current Tracker Data:', trackerData);
+            console.log('Current URL UTMs:', utms);
+            console.log('Current Path:', window.location.pathname + window.location.search);
+            console.log('Current Title:', document.title);
+            console.log('Configuration:', config);
+            console.log('Session Timeout (ms):', SESSION_TIMEOUT_MS);
+            console.log('Debug Mode:', window.lmvDebugMode);
+            console.groupEnd();
+        }
+
+        function debugDecoratedLinks() {
+            const links = Array.from(document.querySelectorAll('a[href], area[href]'))
+                .filter(link => attempt(() => !!findDecorationRule(new URL(link.href)), false));
+            console.group('🔗 Decorated Links');
+            links.forEach((link, index) => {
+                console.log(`Link ${index + 1}:`, {
+                    text: link.textContent?.trim() || 'No text',
+                    href: link.href,
+                    hasSessionUUID: link.href.includes('uuid'),
+                    hasUtmParams: UTM_FIELDS.some(param => link.href.includes(param))
+                });
+            });
+            console.log(`Total links found: ${links.length}`);
+            console.groupEnd();
+        }
+
+        function debugUTMFields() {
+            console.group('📝 UTM Form Fields');
+            Object.keys(trackerData ? getFieldValues() : {}).forEach(param => {
+                const elements = findFields(param);
+                console.log(`${param}:`, {
+                    count: elements.length,
+                    elements: Array.from(elements).map(el => ({
+                        tagName: el.tagName,
+                        type: el.type || 'N/A',
+                        value: el.value || 'N/A',
+                        hasValue: !!el.value
+                    }))
+                });
+            });
+        
+            console.groupEnd();
+        }
+
+        function debugStorage() {
+            const raw = readStorage(STORAGE_KEY);
+            console.group('💾 Storage Debug');
+            console.log('Raw storage:', raw);
+            console.log('Parsed data:', getStoredData());
+            console.log('Storage key:', STORAGE_KEY);
+            console.log('Storage chain:', storageChain.map(({ name }) => name));
+            console.groupEnd();
+        }
+
+        function debugSession() {
+            console.group('📊 Session Debug');
+            console.log('Session UUID:', trackerData?.uuid);
+            console.log('Visitor ID:', trackerData?.visitor_id);
+            console.log('Session Count:', trackerData?.session_count);
+            console.log('First Seen:', trackerData?.first_seen ? new Date(trackerData.first_seen) : 'N/A');
+            console.log('Created At:', trackerData?.created_at ? new Date(trackerData.created_at) : 'N/A');
+            console.log('Last Updated:', trackerData?.last_updated ? new Date(trackerData.last_updated) : 'N/A');
+            console.log('Page Views:', trackerData?.page_views);
+            console.log('UTM Parameters:', UTM_FIELDS.reduce((acc, field) => {
+                if (trackerData?.[field]) acc[field] = trackerData[field];
+                return acc;
+            }, {}));
+            console.log('First Touch:', trackerData?.first_touch || 'N/A');
+            console.log('Last Touch:', trackerData?.last_touch || 'N/A');
+            console.log('Touchpoints:', trackerData?.touchpoints?.length || 0);
+            console.groupEnd();
+        }
+
+        // Initialize when DOM is ready
+        function initialize() {
+            [].concat(config.plugins || []).forEach(use);
+            migrateLegacyStorage();
+            checkConsent();
+            observeConsentAdapter();
+            observeDataLayer();
+
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', initializeConsentBanner);
+                document.addEventListener('DOMContentLoaded', initializeTracker);
+            } else {
+                initializeConsentBanner();
+                initializeTracker();
+            }
+        }
+
+        function start() {
+            if (isStarted) return api;
+            isStarted = true;
+            observeErrors();
+            initialize();
+            return api;
+        }
+
+        // Public API of this instance (window.lmvTracker for the CDN script)
+        const api = {
+            start: start,
+            getSessionUUID: () => trackerData?.uuid,
+            getSessionData: () => trackerData,
+            getVisitorId: () => trackerData?.visitor_id,
+            getVisitorData: () => trackerData ? {
+                visitor_id: trackerData.visitor_id,
+                session_count: trackerData.session_count,
+                first_seen: trackerData.first_seen
+            } : null,
+            refreshLinks: decorateLinks,
+            decorateUrl: decorateUrl,
+            refreshFields: populateUTMFields,
+            reinitialize: initializeTracker,
+            track: track,
+            trackConversion: trackConversion,
+            identify: identify,
+            reset: reset,
+            // Plugins and lifecycle hooks
+            use: use,
+            on: on,
+            off: off,
+            // Consent management methods
+            giveConsent: giveConsent,
+            revokeConsent: revokeConsent,
+            hasConsent: (category) => category ? consentState[category] === true : consentGiven,
+            getConsent: () => ({ ...consentState }),
+            showConsentPreferences: showConsentPreferences,
+            checkConsent: checkConsent,
+            // Debug helpers (window.lmvDebug* for the CDN script)
+            debug: {
+                state: debugCurrentState,
+                links: debugDecoratedLinks,
+                utmFields: debugUTMFields,
+                storage: debugStorage,
+                session: debugSession
+            }
+        };
+
+        return api;
+    }
 
-})();
\ No newline at end of file
+    return { createTracker: createTracker };
+});
\ No newline at end of file